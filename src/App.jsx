@@ -105,18 +105,22 @@ function MainKey({elementId, INST}){
   const [isOFF, setIsOff] = useState(false)
   const [selectPattern, setSelectPattern] = useState(false)
   const [copyMark, setCopyMark] = useState(false)
+  // 1 - the step holds parameter locks, 2 - the step is held in the lock layer
+  const [lockMark, setLockMark] = useState(0)
 
   // Register state setters in engine.StateSetters and clean up on unmount
   useEffect(() => {
     engine.StateSetters[elementId] = setState
     if (elementId==='CE-TA') engine.StateSetters[elementId+'r'] = makeReload
     if (!isNaN(elementId)) engine.StateSetters[elementId+43] = setIsOff
+    if (!isNaN(elementId)) engine.StateSetters[elementId+'lm'] = setLockMark
     engine.StateSetters[elementId+'ssp'] = setSelectPattern
     engine.StateSetters[elementId+'cm'] = setCopyMark
     return () => {
       delete engine.StateSetters[elementId]
       if (elementId==='CE-TA') delete engine.StateSetters[elementId+'r']
       if (!isNaN(elementId)) delete engine.StateSetters[elementId+43]
+      if (!isNaN(elementId)) delete engine.StateSetters[elementId+'lm']
       delete engine.StateSetters[elementId+'ssp']
       delete engine.StateSetters[elementId+'cm']
     }
@@ -231,7 +235,7 @@ function MainKey({elementId, INST}){
         } else {
           newState = state
         }
-        engine.consumeMk(elementId, INST, newState, event.altKey)
+        engine.consumeMk(elementId, INST, newState, event.altKey, pressVelocity(event))
     }
   }
   engine.StateSetters['handleClickMk'] = handleClick
@@ -255,10 +259,14 @@ function MainKey({elementId, INST}){
         handleClick(elementId, INST, event)}}
       onTouchStart={event => {engine.isMobile&&!engine.isOngoingAlert&&
         handleClick(elementId, INST, event)}}
+      onMouseUp={() => {!isNaN(elementId)&&engine.releaseMk(INST)}}
+      onMouseLeave={() => {!isNaN(elementId)&&engine.releaseMk(INST)}}
+      onTouchEnd={() => {!isNaN(elementId)&&engine.releaseMk(INST)}}
       style={style(['66px','66px'], { 
         boxShadow: boxShadow, borderTopLeftRadius: '2px',
         borderTopRightRadius: '2px',
         borderTop: copyMark?'0.4rem solid':'none',
+        borderBottom: lockMark?(lockMark===2?'0.4rem solid':'0.2rem solid'):'none',
         borderImageSource: 'radial-gradient(rgb(255, 255, 255, 0.62) 62%, #9198e50f)',
         borderImageSlice: 1,
         boxSizing: 'border-box',
@@ -274,6 +282,21 @@ function MainKey({elementId, INST}){
   return <Tooltip id={tooltipId} payload={buttonContent}></Tooltip>
 }
 
+/**
+ * Maps the vertical press position on a MainKey to a velocity (1-127),
+ * the top edge of the key is the loudest.
+ * Keyboard presses carry no position and give undefined.
+ * @param {Event} event - Browser event object
+ * @returns {number|undefined} - Velocity of the press
+ */
+const pressVelocity = (event) => {
+  const clientY = event.touches ? event.touches[0].clientY : event.clientY
+  if (!clientY) return undefined
+  const rect = event.currentTarget.getBoundingClientRect()
+  const position = 1 - (clientY - rect.top) / rect.height
+  return Math.max(1, Math.min(127, Math.round(position * 127)))
+}
+
 /**
  * Regulates the MainKey(s)' led light intensity.
  * Modeled as Cubic Regression.
@@ -424,8 +447,6 @@ function LedKey({elementId}) {
         return isClicked?'orange-light orange-shadow':""
       case 'ALT':
         return isClicked?'alt-key':''
-      case 'EXT':
-        return 'fade-out pe-none'
       case 'CG':
         return engine.isGuide()?'orange-light':''
       case 'CLEAR':
@@ -436,10 +457,12 @@ function LedKey({elementId}) {
       case 'INST SELECT':
       case 'LAST STEP':
       case 'SHUFF /FLAM':
+      case 'EXT':
         return isClicked? 'orange-light orange-shadow' : 'orange-light-active orange-shadow'
       case 'Q':
+        // the Euclidean generator in STEP mode
         if (engine.GLOBAL_MODE === 'STEP') 
-          return 'fade-out pe-none'
+          return isClicked? 'orange-light orange-shadow' : 'orange-light-active orange-shadow'
         return isClicked?'quantize-key':''
       case engine.SELECTOR_CODE[0]: // BANK
       case engine.SELECTOR_CODE[1]: // TRACK
@@ -670,6 +693,18 @@ function DControlVariable() {
     if (lcvPrefix === 'INS' || lcvPrefix === 'DIS') {
       return lcv
     }
+    // Brief messages of the TAP recording (quantize, recording mode and count-in)
+    if (lcvPrefix === 'QUA' || lcvPrefix === 'REC' || (lcvPrefix === 'COU' && engine.GLOBAL_LED_CONTROL_VARIABLE() !== 'COUNT IN')) {
+      return lcv
+    }
+    // Brief messages of the history
+    if (lcvPrefix === 'UND' || lcvPrefix === 'RED') {
+      return lcv
+    }
+    // Brief messages of the analog model, the user samples and the kits
+    if (lcvPrefix === 'SYN' || lcvPrefix === 'SAM' || lcvPrefix === 'KIT') {
+      return lcv
+    }
   }
   
   // Handle PLAY mode
@@ -684,6 +719,10 @@ function DControlVariable() {
       return 'PLAY PRESET'
     } 
     if (engine.isQueueTable) {
+      // Song entry edited with ALT key
+      if (lcv.slice(0, 4) === 'SONG') {
+        return lcv
+      }
       return 'ADD PATTERN TO QUEUE'
     }
     return 'PLAY BEAT'
@@ -703,7 +742,7 @@ function DControlVariable() {
   }
   
   // For standard control variables, return "WRITE X"
-  if (['SCALE', 'TOTAL ACCENT', 'LAST STEP', 'FIRST STEP', 'SHUFF /FLAM'].includes(globalLedValue)) {
+  if (['SCALE', 'TOTAL ACCENT', 'LAST STEP', 'FIRST STEP', 'SHUFF /FLAM', 'VELOCITY', 'RATCHET', 'NUDGE', 'CONDITION', 'TRACK LENGTH', 'LOCK', 'EUCLID', 'HUMANIZE', 'COUNT IN', 'TRANSFORM', 'INSERT FX'].includes(globalLedValue)) {
     return `WRITE ${lcv || globalLedValue}`
   }
   
@@ -727,6 +766,79 @@ function DScale() {
   return 's' + scale[1]
 }
 
+/**
+ * DPage component displays the page of 16 steps shown on the main keys.
+ * 
+ * This component shows the selected page and the number of pages the measure spans.
+ * It exposes a setter function to the engine for external control.
+ * 
+ * @returns {string} The selected page and the page count prefixed with 'p'
+ */
+function DPage() {
+  const [page, setPage] = useState([1, 1])
+  engine.StateSetters['setPage'] = setPage
+  return 'p' + page[0] + '/' + page[1]
+}
+
+/**
+ * DHumanize component displays the humanize section of the preset.
+ * 
+ * This component shows the timing spread (ms) and the velocity spread (%).
+ * It exposes a setter function to the engine for external control.
+ * 
+ * @returns {string} The spreads prefixed with 'h'
+ */
+function DHumanize() {
+  const [humanize, setHumanize] = useState([0, 0, 0x7FF])
+  engine.StateSetters['setHumanize'] = setHumanize
+  return 'h' + humanize[0] + '/' + humanize[1]
+}
+
+/**
+ * DSynth component displays the instruments played by the analog model.
+ * 
+ * @returns {string} Initials of the instruments prefixed with 'a', '-' when all play samples
+ */
+function DSynth() {
+  const initials = engine.getSynthInsts().map(inst => inst[0]).join('')
+  return 'a' + (initials || '-')
+}
+
+/**
+ * DKit component displays the sound kit played.
+ * 
+ * @returns {string} The kit name prefixed with 'k'
+ */
+function DKit() {
+  return 'k ' + engine.getKitName()
+}
+
+/**
+ * DCountIn component displays the count-in of the TAP recording.
+ * 
+ * @returns {string} The bars of the count-in prefixed with 'c', '-' when OFF
+ */
+function DCountIn() {
+  const countIn = engine.getCountIn()
+  return 'c' + (countIn || '-')
+}
+
+/**
+ * DFill component is the momentary fill key of the status bar.
+ * 
+ * The steps with the FILL condition play while it is held.
+ * 
+ * @returns {JSX.Element} A div holding the fill key
+ */
+function DFill() {
+  const press = () => {!engine.isOngoingAlert&&engine.setFill(true)}
+  const release = () => {engine.setFill(false)}
+  return <div
+    onMouseDown={press} onMouseUp={release} onMouseLeave={release}
+    onTouchStart={press} onTouchEnd={release}
+  >FILL</div>
+}
+
 /**
  * DSelectedInst component displays the currently selected instrument.
  * 
@@ -1088,7 +1200,13 @@ function EditCommandLoad ({command_name}) {
    */
   const onChange = async (e) => {
     let file_name = e.target.files[0].name
-    file_name.slice(-10)==='.tr909bank'||file_name.slice(-12)==='.tr909preset'
+    // audio files replace the sound of the selected instrument
+    const isSample = ['.wav', '.aif', '.aiff'].some(ext => file_name.toLowerCase().endsWith(ext))
+    isSample
+    ?await engine.loadUserSample(e.target.files[0])
+    :file_name.slice(-9)==='.tr909kit'
+    ?await engine.loadKit(e.target.files[0], file_name)
+    :file_name.slice(-10)==='.tr909bank'||file_name.slice(-12)==='.tr909preset'
     ?await engine.consumeEditKey(command_name, e.target.files[0], false, file_name)
     :engine.dataFormatErr("DATA", )
     if (document.getElementById('loadedFile')) {
@@ -1127,6 +1245,11 @@ function EditCommandLoad ({command_name}) {
         e.preventDefault()
         return
       }
+      // ALT brings back the factory sound of the selected instrument
+      if (engine.restoreFactorySound(e.altKey)) {
+        e.preventDefault()
+        return
+      }
       handleAlert(e)
     }}
     type="file" id="loadedFile" style={{display: 'none'}} />
@@ -1201,6 +1324,9 @@ function BeatLight () {
 function BeatRunner () {
   const [beatLightX, setBeatLightX] = useState(88)
   engine.StateSetters['setBeatLightX'] = setBeatLightX
+  // hidden while the played step sits on another page of the main keys
+  const [beatLightVisible, setBeatLightVisible] = useState(true)
+  engine.StateSetters['setBeatLightVisible'] = setBeatLightVisible
 
   return (
     <div 
@@ -1209,6 +1335,7 @@ function BeatRunner () {
     style={style([beatLightX, '100%' , 'white'], {
       justifyContent: 'end',
       alignItems: 'center',
+      visibility: beatLightVisible ? 'visible' : 'hidden',
     })}
     > 
       <BeatLight />
@@ -2294,13 +2421,19 @@ function PatternSlotQueue ({patternAddress, scale}) {
 
   /**
    * Handles switching to this pattern when clicked
-   * Different behavior based on playback state
+   * Different behavior based on playback state,
+   * with ALT key the entry starts or stops being a song section
    */
-  const switchToPattern = () => {
+  const switchToPattern = (event) => {
     if (selectorCode){
+      if (event.altKey || engine.isAltKey()) {
+        engine.toggleSectionMarker(patternAddress)
+        return
+      }
+
       // When playing, queue the pattern to play after current pattern finishes
       if (engine.GLOBAL_SSC!=='STOP') {
-        engine.setPatternNumber(patternAddress-1)
+        engine.cueEntry(patternAddress)
         return
       }
 
@@ -2320,7 +2453,13 @@ function PatternSlotQueue ({patternAddress, scale}) {
     > <div 
     style={{transform: `scale(${scale})`, position: 'absolute'}}
     >
-      {selectorCode?selectorCode[3]+1:undefined}
+      {selectorCode?engine.getSectionName(patternAddress)+(selectorCode[3]+1):undefined}
+      <div style={{fontSize: '60%', lineHeight: 1}}>
+        {selectorCode?engine.getSongFields(patternAddress):undefined}
+      </div>
+      <div style={{fontSize: '60%', lineHeight: 1}}>
+        {selectorCode?engine.getSongTempo(patternAddress):undefined}
+      </div>
     </div>
     <Tooltip id={'meas'} payload={''} width='100%' height='34px' position='absolute' />
   </div>
@@ -3537,6 +3676,58 @@ function StatusBar () {
   transform='none'
   />
 
+  {/* Folder for the page of steps shown on the main keys */}
+  <Folder id={'sbPage'} info={<div><DPage/></div>} width='auto'
+    cursor='pointer'
+    pointerEvents='all'
+    onClick={() => {!engine.isOngoingAlert&&engine.changePage(engine.getPage() + 1)}}
+  />
+
+  {/* Folder for the humanize section of the preset */}
+  <Folder id={'sbHuman'} info={<div><DHumanize/></div>} width='auto'
+    cursor='pointer'
+    pointerEvents='all'
+    onClick={() => {!engine.isOngoingAlert&&engine.toggleHumanize()}}
+  />
+
+  {/* Folder for the instruments played by the analog model */}
+  <Folder id={'sbSynth'} info={<div><DSynth/></div>} width='auto'
+    cursor='pointer'
+    pointerEvents='all'
+    onClick={() => {!engine.isOngoingAlert&&engine.toggleSynth()}}
+  />
+
+  {/* Folder for the sound kit played */}
+  <Folder id={'sbKit'} info={<div><DKit/></div>} width='auto'
+    cursor='pointer'
+    pointerEvents='all'
+    onClick={() => {!engine.isOngoingAlert&&engine.restoreFactoryKit()}}
+  />
+
+  {/* Folder for the insert chains of the instruments */}
+  <Folder id={'sbFx'} info={<div>FX</div>} width='auto'
+    cursor='pointer'
+    pointerEvents='all'
+    onClick={() => {!engine.isOngoingAlert&&engine.toggleInsertFX()}}
+  />
+
+  {/* Folder for the count-in of the TAP recording */}
+  <Folder id={'sbCount'} info={<div><DCountIn/></div>} width='auto'
+    cursor='pointer'
+    pointerEvents='all'
+    onClick={() => {!engine.isOngoingAlert&&engine.toggleCountIn()}}
+  />
+
+  {/* Folder for the fill key, held for the steps with the FILL condition */}
+  <Folder id={'sbFill'} info={<DFill/>} width='auto'
+    backgroundColor={() => {
+      let opacity = engine.isFill()?0.8:0.2
+      return `rgba(68, 72, 84, ${opacity})`
+    }}
+    cursor='pointer'
+    pointerEvents='all'
+  />
+
   {/* Folder for displaying selected instrument */}
   <Folder id={'sbInst'} info={<><DSelectedInst/></>} width={40}
   transform='none'
@@ -3556,9 +3747,11 @@ function StatusBar () {
     width={48} 
     cursor='pointer'
     pointerEvents='all'
-    onClick={async () => {!engine.isOngoingAlert&&engine.Alert(
-     [ `OK @RENDER | ${engine.getCurrentPresetName()} | TO AUDIO ?`,
-      async (OK) => {await engine.renderMachine(); engine.Alert()},
+    onClick={async (e) => {
+     const newSeed = e.altKey || engine.isAltKey()
+     !engine.isOngoingAlert&&engine.Alert(
+     [ `OK @RENDER | ${engine.getCurrentPresetName()} | ${newSeed ? 'NEW SEED ' : ''}TO AUDIO ?`,
+      async (OK) => {newSeed && engine.newRenderSeed(); await engine.renderMachine(); engine.Alert()},
     (CANCEL) => engine.Alert()]
     )}}
   />
@@ -3937,6 +4130,9 @@ function App() {
   document.onkeydown = function(event) {
     engine && engine.consumePressedKey(event)
   }
+  document.onkeyup = function(event) {
+    engine && engine.consumePressedKey(event, true)
+  }
 
   // Save state when page visibility changes
   document.onvisibilitychange = function(event) {
@@ -180,6 +180,11 @@ class Engine {
       this.lastActiveWheel = false
       return
     }
+    // a drag of a knob is one edit, the volume is not an edit of the preset,
+    // the knobs of the selected instrument edit the pattern while a step is held
+    elementId !== 'volume_wheel' && this.#remember('KNOB ' + elementId,
+      this.#heldStep !== undefined && this.#knobTracks[elementId.slice(0, 2)] === this.#I[this.SELECTED_INST] ?
+        this.#patternScope() : 'SETTINGS')
     if (elementId !== 'tempo_wheel' && elementId !== 'volume_wheel') {
       this.lastActiveWheel && this.StateSetters[this.lastActiveWheel](state => !state) 
       this.StateSetters[elementId + 'law'](state => !state)
@@ -202,6 +207,12 @@ class Engine {
         break
       }
       default: {
+        // the knobs of the selected instrument lock their values into the held step
+        if (this.#heldStep !== undefined && 
+          this.#knobTracks[elementId.slice(0, 2)] === this.#I[this.SELECTED_INST]) {
+          this.#lockKnob(elementId, [Math.floor(this.#linearFoo(rootDeg)), rootDeg])
+          break
+        }
         this.instSettings[elementId] = [Math.floor(this.#linearFoo(rootDeg)), rootDeg, setRootDeg]
         // this.Log("setRotaryValue=> ", elementId, rootDeg, this.instSettings[elementId])
       }
@@ -326,6 +337,9 @@ class Engine {
     // Handle tempo wheel changes
     this.DisplaySetters['tempo_wheel'] = (elementId) => {
       this.setTempo(this.instSettings[elementId][0])
+      this.#syncDelay(this.#merger, this.instSettings[elementId][0], this.#audioCtx.currentTime)
+      // the scheduler shows the tempo of the song again
+      this.#shownTempo = undefined
     },
 
     // Handle START button press
@@ -451,6 +465,39 @@ class Engine {
         this.StateSetters['TEMPO-STEP'](false)
         this.#tempoStep = false
         break
+      case 'VELOCITY':
+        this.StateSetters['EXT'](false)
+        this.#velocityEdit = false
+        break
+      case 'RATCHET':
+        this.StateSetters['EXT'](false)
+        this.#ratchetEdit = false
+        break
+      case 'NUDGE':
+        this.StateSetters['EXT'](false)
+        this.#nudgeEdit = false
+        break
+      case 'CONDITION':
+        this.StateSetters['EXT'](false)
+        this.#conditionEdit = false
+        break
+      case 'TRACK LENGTH':
+        this.StateSetters['EXT'](false)
+        this.#trackLengthEdit = false
+        this.#fadeOutMainKeysForNewBASE()
+        break
+      case 'LOCK':
+        this.StateSetters['EXT'](false)
+        this.#lockOFF()
+        break
+      case 'EUCLID':
+        this.#euclidOFF()
+        break
+      case 'HUMANIZE':
+      case 'COUNT IN':
+      case 'TRANSFORM':
+      case 'INSERT FX':
+        break
       // here we use a screen name instead of elementId
       case 'TOTAL ACCENT':
         this.StateSetters['CE-TA'](false)
@@ -538,6 +585,8 @@ class Engine {
   switchQTSlot (patternAddress=undefined) {
     // we switch to the slot only if the playbackQueue contains a pattern in it.
     if (this.#playbackQueue[patternAddress]) {
+      // another entry starts from its first pass
+      if (patternAddress !== this.#patternNumber) this.#repeat = 0
       this.#patternNumber = patternAddress
       this.StateSetters[this.#currentQTSlot](false)
       let slotCode = 'QTa'+patternAddress
@@ -577,22 +626,61 @@ class Engine {
     this.setDisplay('SCALE', false)
   }
 
+  /** Maximum number of steps in a pattern, MainKey(s) show them in pages of 16 */
+  #maxSteps = 64
+
+  /** Page of 16 steps the MainKey(s) are showing (0-3) */
+  #page = 0
+
+  /**
+   * Returns the page the MainKey(s) are showing
+   * @returns {number} The page index (0-3)
+   */
+  getPage = () => { return this.#page }
+
+  /**
+   * Switches the MainKey(s) to another page of 16 steps
+   * @param {number} page - The page index (0-3)
+   */
+  changePage (page) {
+    this.#page = (page + this.#maxSteps/16) % (this.#maxSteps/16)
+    this.setMksState()
+    this.#fadeOutMainKeysForNewBASE()
+    this.#updatePageDisplay()
+  }
+
+  /**
+   * Shows the selected page and the number of pages the pattern spans
+   * @private
+   */
+  #updatePageDisplay () {
+    this.StateSetters['setPage']([this.#page + 1, Math.ceil(this.BASE/16)])
+  }
+
+  /**
+   * Gives the pattern step a MainKey stands for on the selected page
+   * @param {number} elementId - MainKey ID (0-15)
+   * @returns {number} The step of the pattern (0-63)
+   */
+  #stepOf (elementId) {
+    return this.#page * 16 + elementId
+  }
+
   /**
    * Updates the visual state of main keys when BASE changes
    * Fades out keys that are outside the current BASE range
    */
   #fadeOutMainKeysForNewBASE () {
     // true - means yes, do fade out.
-
-    // turn all OFF at first
-    for (let i=0; i<this.BASE; i++) {
-      this.StateSetters[i+43](false)
-    }
-    for (let i=0; i<this.firstBeat; i++) {
-      this.StateSetters[i+43](true)
-    }  
-    for (let i=this.BASE; i<16; i++) {
-      this.StateSetters[i+43](true)
+    // MainKey(s) show the steps of the selected page only
+    const offset = this.#page * 16
+    // and the steps of the selected track while its length is edited
+    const [first, last] = this.#trackLengthEdit && this.SELECTED_INST !== 'ALL' ?
+      this.#trackRange(this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)], this.#I[this.SELECTED_INST]) :
+      [this.firstBeat, this.BASE]
+    for (let i=0; i<16; i++) {
+      this.StateSetters[i+43](
+        offset + i < first || offset + i >= last)
     }
   }
 
@@ -617,6 +705,7 @@ class Engine {
         break
     }
     this.#fadeOutMainKeysForNewBASE()
+    this.#updatePageDisplay()
   }
 
   /**
@@ -722,6 +811,153 @@ class Engine {
   
   /** Flag for guide mode */
   #guide = false
+
+  /** Flag for the velocity layer, MainKey(s) write step velocities when ON */
+  #velocityEdit = false
+
+  /** Velocity written into empty steps and recorded by keyboard taps */
+  #velocity = 127
+
+  /** Velocity levels the MainKey(s) step through in the velocity layer */
+  #velocityLevels = [127, 111, 95, 79, 63, 47, 31, 15]
+
+  /** Flag for the ratchet layer, MainKey(s) write step repeats when ON */
+  #ratchetEdit = false
+
+  /** Repeats written into empty steps of the ratchet layer */
+  #ratchet = 2
+
+  /** Repeat counts the MainKey(s) step through in the ratchet layer, 1 plays once */
+  #ratchetLevels = [8, 6, 4, 3, 2, 1]
+
+  /** Bit of a ratchet step that ramps the velocity up across the repeats */
+  #RAMP = 0x80
+
+  /** Flag for the nudge layer, MainKey(s) write step offsets when ON */
+  #nudgeEdit = false
+
+  /** Offset (% of a step) written into empty steps of the nudge layer */
+  #nudge = 0
+
+  /** Offset (% of a step) a press moves the step by, steps stay within ±50% */
+  #nudgeStep = 10
+
+  /** Flag for the condition layer, MainKey(s) write step conditions when ON */
+  #conditionEdit = false
+
+  /** Condition (index of #conditions) written into empty steps of the condition layer */
+  #condition = 1
+
+  /**
+   * Conditions of the condition layer, steps keep the index.
+   * A:B plays on the A-th of every B loops of the pattern, FIRST on its first loop,
+   * FILL while the fill key is held, PRE if the previous note of the track fired.
+   */
+  #conditions = ['ALWAYS', '1:2', '2:2', '1:3', '2:3', '3:3', '1:4', '2:4', '3:4', '4:4',
+    'FIRST', 'NOT FIRST', 'FILL', 'NOT FILL', 'PRE', 'NOT PRE']
+
+  /**
+   * Loops each pattern has played since START, see #moveToNextPattern.
+   * They keep counting while the queue cycles.
+   */
+  #loops = new Array(384).fill(0)
+
+  /** True for the tracks whose last note fired, see the PRE condition */
+  #fired = new Array(11).fill(false)
+
+  /** Flag for the fill key, held for fills */
+  #fill = false
+
+  /** Time, duration and beat number of the step scheduled last, TAP recording places the taps from it */
+  #scheduledStep = [0, 0, 0]
+
+  /** Flag for the track length mode, MainKey(s) set the last (ALT: first) step of the track */
+  #trackLengthEdit = false
+
+  /** Flag for the lock layer, a MainKey holds its step and the knobs of the instrument lock their values into it */
+  #lockEdit = false
+
+  /** Step held in the lock layer (0-63), undefined when no step is held */
+  #heldStep = undefined
+
+  /** Locks of the step the voices play, see #knob */
+  #stepLocks = {}
+
+  /** Track of every instrument knob by the first two letters of its name, see #I */
+  #knobTracks = {
+    AC: 0, RD: 1, CR: 2,
+    HH: 3, CH: 3, OH: 3,
+    HC: 4, RS: 5,
+    HT: 6, MT: 7, LT: 8,
+    SD: 9, BD: 10,
+  }
+
+  /** Values of the Euclidean generator: hits, rotation and accents */
+  #euclid = [4, 0, 0]
+
+  /** Value of the Euclidean generator the MainKey(s) set (index of #euclid), undefined when OFF */
+  #euclidParam = undefined
+
+  /**
+   * Steps played by the tracks since START, tracks with their own length
+   * run their own play-head out of it, see #advanceTracks
+   */
+  #trackTicks = new Array(11).fill(0)
+
+  /**
+   * Returns true if the MainKey(s) write into a step layer
+   * @returns {boolean}
+   */
+  #isStepLayerEdit = () => { 
+    return this.#velocityEdit || this.#ratchetEdit || this.#nudgeEdit || this.#conditionEdit || 
+      this.#trackLengthEdit || this.#lockEdit
+  }
+
+  /** Chance (%) written into empty steps of the probability layer */
+  #probability = 50
+
+  /** Chance levels (%) the MainKey(s) step through in the probability layer */
+  #probabilityLevels = [100, 87, 75, 62, 50, 37, 25, 12]
+
+  /**
+   * Pattern indices holding per-step layers, 11 tracks of #maxSteps each.
+   * 18: velocities, 19: probabilities, 20: ratchets, 21: nudges, 25: conditions
+   */
+  #stepLayers = [18, 19, 20, 21, 25]
+
+  /** Random source of the probability layer and humanize, reseeded on START */
+  #random = Math.random
+
+  /** Seed of the presets saved before the seed was saved with them */
+  #factorySeed = 909
+
+  /**
+   * Seed of the probability layer and humanize, saved with the preset,
+   * same seed renders the same audio
+   */
+  renderSeed = this.#factorySeed
+
+  /**
+   * Gives the preset a new seed, its renders play another variation of the probability layer
+   * and humanize, reproduced by the renders that follow
+   */
+  newRenderSeed() {
+    this.#remember(undefined, 'SETTINGS')
+    this.renderSeed = Math.floor(Math.random() * 0x100000000)
+  }
+
+  /**
+   * Humanize section of the preset:
+   * [0] - timing spread (ms), [1] - velocity spread (%),
+   * [2] - instruments it applies to, one bit per track, see #I
+   */
+  #humanize = [0, 0, 0x7FF]
+
+  /** Timing spreads (ms) set by the first 7 MainKey(s) in HUMANIZE mode */
+  #humanizeTimings = [0, 2, 4, 6, 8, 12, 16]
+
+  /** Velocity spreads (%) set by the MainKey(s) 9 to 15 in HUMANIZE mode */
+  #humanizeVelocities = [0, 5, 10, 15, 20, 30, 40]
   
   /**
    * Returns the current state of the guide mode
@@ -747,6 +983,19 @@ class Engine {
     this.StateSetters['TEMPO-STEP'](false)
     this.#tempoStep = false
 
+    this.StateSetters['EXT'](false)
+    this.#velocityEdit = false
+    this.#ratchetEdit = false
+    this.#nudgeEdit = false
+    this.#conditionEdit = false
+    if (this.#trackLengthEdit) {
+      this.#trackLengthEdit = false
+      this.#fadeOutMainKeysForNewBASE()
+    }
+    this.#lockEdit && this.#lockOFF()
+
+    this.#euclidParam !== undefined && this.#euclidOFF()
+
     this.StateSetters['CE-TA'](false)
     this.GLOBAL_Mk_TA = false
 
@@ -841,6 +1090,30 @@ class Engine {
       if (this.#GLCV==='LAST STEP') {
         this.#altKey ? this.setLCV('FIRST STEP') : this.setLCV('LAST STEP ')
       }
+      // Handle the song entries of the queue table
+      if (this.isQueueTable && !this.TRACK_WRITE && !this.#LAST_STEP && !this.#shuffleFlam && !this.#isStepLayerEdit()) {
+        this.#altKey ? this.setLCV(this.#songEntryName(this.#patternNumber)) : this.setLCV('')
+      }
+      // Handle the probability layer sitting under the velocity layer
+      if (this.#GLCV==='VELOCITY') {
+        this.#altKey ? this.setLCV('PROBABILITY') : this.setLCV('VELOCITY')
+      }
+      // Handle the velocity ramp of the ratchets
+      if (this.#GLCV==='RATCHET') {
+        this.#altKey ? this.setLCV('RATCHET RAMP') : this.setLCV('RATCHET')
+      }
+      // Handle the direction of the nudges
+      if (this.#GLCV==='NUDGE') {
+        this.#altKey ? this.setLCV('NUDGE EARLY') : this.setLCV('NUDGE LATE')
+      }
+      // Handle the direction the conditions are stepped through
+      if (this.#GLCV==='CONDITION') {
+        this.#altKey ? this.setLCV('CONDITION BACK') : this.setLCV('CONDITION')
+      }
+      // Handle the first step of the track
+      if (this.#GLCV==='TRACK LENGTH') {
+        this.#altKey ? this.setLCV('TRACK FIRST STEP') : this.setLCV('TRACK LAST STEP')
+      }
     }
     
     /**
@@ -949,7 +1222,7 @@ class Engine {
          */
 
         // Update queue length display
-        this.StateSetters['setQueueLen'](this.#playbackQueue.length)
+        this.#updateSongDisplay()
         this.StateSetters['setLastPat'](this.#playbackQueue[
           this.#playbackQueue.length-1][3]+1)
 
@@ -1099,12 +1372,31 @@ class Engine {
     this.#SHIFT_TABLE['ALT'] = () => this.#NO_SHIFT_TABLE['ALT']()
 
     /**
-     * Q (Quantize) button handler - toggles quantization
-     * @param {string} elementId - The ID of the element that triggered the command
+     * Q (Quantize) button handler - toggles quantization.
+     * In STEP mode steps through the values of the Euclidean generator:
+     * HITS, ROTATE, ACCENTS, then OFF. MainKey(s) set the value and fill the track.
      */
-    this.#SHIFT_TABLE['Q'] = (elementId) => {
-      this.#quantize = !this.#quantize
-      this.StateSetters[elementId](this.#quantize)
+    this.#SHIFT_TABLE['Q'] = () => {
+      // the grid of the TAP recording, with ALT its strength
+      if (this.GLOBAL_MODE !== 'STEP') {
+        this.#altKey && this.#quantize ? this.#nextQuantizeStrength() : this.#nextQuantizeGrid()
+        return
+      }
+
+      const param = this.#euclidParam === undefined ? 0 : this.#euclidParam + 1
+      if (param > 2) {
+        this.#manageGLCV(false, 'EUCLID')
+        this.#euclidOFF()
+        return
+      }
+
+      // the swap turns the previous GLCV OFF
+      !param && this.#manageGLCV(true, 'EUCLID')
+      this.#euclidParam = param
+      this.StateSetters['Q'](true)
+      this.setLCV(['EUCLID HITS', 'EUCLID ROTATE', 'EUCLID ACCENTS'][param])
+      this.#COPY_TO = false
+      this.#switchEditKeysLights('COPY', true)
     }
 
     /**
@@ -1179,6 +1471,40 @@ class Engine {
       this.setTempo(this.instSettings['tempo_wheel'][0]);
     }
 
+    /**
+     * EXT button handler in shift mode
+     * Steps through the step layers: VELOCITY, RATCHET, NUDGE, CONDITION, TRACK LENGTH, LOCK, then OFF.
+     * In the velocity layer MainKey(s) write step velocities, with ALT step probabilities.
+     * In the ratchet layer MainKey(s) write step repeats, with ALT the velocity ramp.
+     * In the nudge layer MainKey(s) move steps late, with ALT early.
+     * In the condition layer MainKey(s) step through the step conditions, with ALT back.
+     * In the track length mode MainKey(s) set the last step of the track, with ALT the first.
+     * In the lock layer a MainKey holds its step, the knobs of the instrument lock their values into it.
+     * @param {string} elementId - The ID of the element that triggered the command
+     */
+    this.#SHIFT_TABLE['EXT'] = (elementId) => {
+      const edits = [this.#velocityEdit, this.#ratchetEdit, this.#nudgeEdit, this.#conditionEdit, 
+        this.#trackLengthEdit, this.#lockEdit]
+      // the last layer falls back to OFF (undefined)
+      const layer = ['VELOCITY', 'RATCHET', 'NUDGE', 'CONDITION', 'TRACK LENGTH', 'LOCK'][edits.indexOf(true) + 1]
+
+      // the swap turns the previous layer OFF
+      this.#manageGLCV(layer, layer)
+      this.#velocityEdit = layer === 'VELOCITY'
+      this.#ratchetEdit = layer === 'RATCHET'
+      this.#nudgeEdit = layer === 'NUDGE'
+      this.#conditionEdit = layer === 'CONDITION'
+      this.#trackLengthEdit = layer === 'TRACK LENGTH'
+      this.#lockEdit = layer === 'LOCK'
+      this.StateSetters[elementId](layer !== undefined)
+      this.#fadeOutMainKeysForNewBASE()
+      this.#lockEdit && this.#showLocks()
+
+      this.#COPY_TO = false
+      this.#switchEditKeysLights('COPY', true)
+      this.setTempo(this.instSettings['tempo_wheel'][0]);
+    }
+
     /**
      * CG (Cycle Group) button handler in shift mode
      * Toggles guide mode
@@ -1255,6 +1581,12 @@ class Engine {
      * @param {*} payload - Additional data passed to the handler
      */
     this.#SHIFT_TABLE['BACK-TAP'] = (elementId, payload) => {
+      // In TAP mode the recording steps through its modes
+      if (this.GLOBAL_MODE === 'TAP') {
+        this.#nextRecordMode()
+        return
+      }
+
       // Switch to TAP mode
       this.GLOBAL_MODE = 'TAP'
       this.setStepTap('TAP')
@@ -1266,8 +1598,22 @@ class Engine {
       // Update UI elements
       this.StateSetters['StepTapKeys'](state => !state)
 
+      // The Euclidean generator is a STEP mode tool
+      if (this.#GLCV === 'EUCLID') {
+        this.#manageGLCV(false, 'EUCLID')
+        this.#euclidOFF()
+      }
+
+      // Parameter locks are written in STEP mode
+      if (this.#GLCV === 'LOCK') {
+        this.#manageGLCV(false, 'LOCK')
+        this.StateSetters['EXT'](false)
+        this.#lockOFF()
+      }
+
       // Update available buttons in TAP mode
       this.StateSetters['Q-reload'](state => !state)
+      this.#showBriefly(`REC ${this.#recordMode}`)
     },
 
     /**
@@ -1312,6 +1658,43 @@ class Engine {
         return
       }
 
+      // Clear step velocities (probabilities with ALT) of the instrument if in VELOCITY mode
+      if (this.#GLCV === 'VELOCITY') {
+        this.#altKey ? 
+          this.#clearStepLayer(19, 'PROBABILITY') : this.#clearStepLayer(18, 'VELOCITY')
+        return
+      }
+
+      // Clear step repeats of the instrument if in RATCHET mode
+      if (this.#GLCV === 'RATCHET') {
+        this.#clearStepLayer(20, 'RATCHET')
+        return
+      }
+
+      // Clear step offsets of the instrument if in NUDGE mode
+      if (this.#GLCV === 'NUDGE') {
+        this.#clearStepLayer(21, 'NUDGE')
+        return
+      }
+
+      // Clear step conditions of the instrument if in CONDITION mode
+      if (this.#GLCV === 'CONDITION') {
+        this.#clearStepLayer(25, 'CONDITION')
+        return
+      }
+
+      // The track follows the pattern length again if in TRACK LENGTH mode
+      if (this.#GLCV === 'TRACK LENGTH') {
+        this.#clearTrackLength()
+        return
+      }
+
+      // Clear the locks of the held step, or of the instrument if no step is held, in LOCK mode
+      if (this.#GLCV === 'LOCK') {
+        this.#clearLocks()
+        return
+      }
+
       // Handle instrument clearing in INST SELECT mode
       if (this.#GLCV === 'INST SELECT') {
         // this.Log('CLEAR: INST SELECT')
@@ -1522,9 +1905,17 @@ class Engine {
     // yet have different state values, 0, 1, 2, and 0, 3, 6. 
     switch (this.GLOBAL_MODE) {
       case 'STEP':
-        state = this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)][this.#I[stepINST]][elementId]
+        state = this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)][this.#I[stepINST]][this.#stepOf(elementId)]
 
-        if (this.#COPY_TO) { return state }
+        if (this.#COPY_TO || this.#trackLengthEdit || this.#lockEdit || this.#euclidParam !== undefined || 
+          this.#GLCV === 'HUMANIZE' || this.#GLCV === 'COUNT IN' || this.#GLCV === 'TRANSFORM' ||
+          this.#GLCV === 'INSERT FX') { return state }
+
+        // The step layers keep the note and only switch ON the empty step
+        if (this.#isStepLayerEdit()) {
+          if (state === 0) return stepINST==='HHO' ? 3 : 1
+          return state
+        }
 
         // Handle special case for HHO, otherwise cycle through states
         return stepINST==='HHO' ? (state<3 ? 3 : state + 3)%9 : (state + 1)%3
@@ -1532,7 +1923,7 @@ class Engine {
       case 'TAP':
         // Total Accent is always updated in the STEP mode
         if (stepINST === 'AC') {
-          state = this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)][this.#I[stepINST]][elementId]
+          state = this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)][this.#I[stepINST]][this.#stepOf(elementId)]
 
           return stepINST==='HHO'?(state<3?3:state + 3)%9 : (state + 1)%3
         }
@@ -1770,11 +2161,183 @@ class Engine {
     )
   }
 
+  /**
+   * Clear a step layer of the selected instrument out of pattern,
+   * the steps fall back to their accent values and always play.
+   * @param {number} layer - Pattern index of the layer, see #stepLayers
+   * @param {string} name - Name of the layer shown on the LED display
+   * @private
+   */
+  #clearStepLayer(layer, name) {
+    const sc = this.SELECTOR_CODE
+    const inst = this.SELECTED_INST
+    this.Alert(
+      [`CLEAR @CLEAR ${this.#Iverbose[inst]} ${name} IN PATTERN ${sc[3]+1} ?`,
+      () => {
+        this.#memory[this.#getPatternMemoryLocation(sc)][layer][this.#I[inst]].fill(0)
+        this.setLCV(name)
+        this.Alert()
+      },
+      () => { this.Alert() }]
+    )
+  }
+
+  /**
+   * Clear the length of the selected track out of pattern,
+   * the track follows the first and last step of the pattern again.
+   * @private
+   */
+  #clearTrackLength() {
+    const sc = this.SELECTOR_CODE
+    const inst = this.SELECTED_INST
+    this.Alert(
+      [`CLEAR @CLEAR ${this.#Iverbose[inst]} TRACK LENGTH IN PATTERN ${sc[3]+1} ?`,
+      () => {
+        const patternLocation = this.#memory[this.#getPatternMemoryLocation(sc)]
+        patternLocation[22][this.#I[inst]] = 0
+        patternLocation[23][this.#I[inst]] = 0
+        this.#fadeOutMainKeysForNewBASE()
+        this.setLCV('TRACK LENGTH')
+        this.Alert()
+      },
+      () => { this.Alert() }]
+    )
+  }
+
+  /**
+   * Gives the value of an instrument knob, the locked one while the voices play a step with locks
+   * @param {string} key - Knob ID, see instSettings
+   * @returns {number} The knob value
+   * @private
+   */
+  #knob(key) {
+    return (this.#stepLocks[key] || this.instSettings[key])[0]
+  }
+
+  /**
+   * Holds a step in the lock layer, the knobs show the values locked into it.
+   * Holding the held step again releases it.
+   * @param {number} step - Step of the pattern (0-63)
+   * @private
+   */
+  #holdStep(step) {
+    if (this.#heldStep === step) {
+      this.#releaseStep()
+      this.setLCV('LOCK')
+      return
+    }
+    const locks = this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)][24][this.#I[this.SELECTED_INST]]
+    this.#heldStep = step
+    this.#showKnobs(locks[step])
+    this.#showLocks()
+    this.setLCV(`LOCK STEP ${step+1}`)
+  }
+
+  /**
+   * Releases the held step, the knobs show the values of the preset again
+   * @private
+   */
+  #releaseStep() {
+    if (this.#heldStep === undefined) return
+    this.#heldStep = undefined
+    this.#showKnobs()
+    this.#showLocks()
+  }
+
+  /**
+   * Locks a knob value into the held step of the selected instrument.
+   * A knob turned to the value of the preset locks nothing new.
+   * @param {string} knob - Knob ID, see instSettings
+   * @param {Array} lock - [value, rootDeg] as in instSettings
+   * @private
+   */
+  #lockKnob(knob, lock) {
+    const locks = this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)][24][this.#I[this.SELECTED_INST]]
+    if (!locks[this.#heldStep]?.[knob] && lock[1] === this.instSettings[knob][1]) return
+
+    locks[this.#heldStep] = {...locks[this.#heldStep], [knob]: lock}
+    this.#showLocks()
+    this.setLCV(`LOCK ${knob} ${lock[0]}`)
+  }
+
+  /**
+   * Turns the knobs to the given locks, the others to the values of the preset
+   * @param {Object} [locks={}] - Locks of a step by knob ID
+   * @private
+   */
+  #showKnobs(locks={}) {
+    for (const knob in this.instSettings) {
+      if (this.#knobTracks[knob.slice(0, 2)] === undefined) continue
+      this.instSettings[knob][2]((locks[knob] || this.instSettings[knob])[1])
+    }
+  }
+
+  /**
+   * Marks the MainKey(s) whose steps hold locks of the selected instrument,
+   * the held step stands out. Marks are shown in the lock layer only.
+   * @private
+   */
+  #showLocks() {
+    const locks = this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)][24][this.#I[this.SELECTED_INST]] || {}
+    for (let i=0; i<16; i++) {
+      const step = this.#stepOf(i)
+      this.StateSetters[i+'lm'](!this.#lockEdit ? 0 : step === this.#heldStep ? 2 : locks[step] ? 1 : 0)
+    }
+  }
+
+  /**
+   * Turns the lock layer OFF, releases the held step and hides the lock marks
+   * @private
+   */
+  #lockOFF() {
+    this.#lockEdit = false
+    this.#releaseStep()
+    this.#showLocks()
+  }
+
+  /**
+   * Gives a copy of the locks of a track
+   * @param {Object} locks - Locks of a track by step
+   * @returns {Object} The copy
+   * @private
+   */
+  #copyLocks(locks) {
+    return Object.fromEntries(Object.entries(locks).map(([step, knobs]) => [step, {...knobs}]))
+  }
+
+  /**
+   * Clear the locks of the held step out of pattern, 
+   * or of the selected instrument when no step is held.
+   * @private
+   */
+  #clearLocks() {
+    const sc = this.SELECTOR_CODE
+    const inst = this.SELECTED_INST
+    const step = this.#heldStep
+    this.Alert(
+      [`CLEAR @CLEAR ${this.#Iverbose[inst]} LOCKS ${step === undefined ? 'IN PATTERN ' + (sc[3]+1) : 'OF STEP ' + (step+1)} ?`,
+      () => {
+        const patternLocation = this.#memory[this.#getPatternMemoryLocation(sc)]
+        if (step === undefined) {
+          patternLocation[24][this.#I[inst]] = {}
+        } else {
+          delete patternLocation[24][this.#I[inst]][step]
+          this.#showKnobs()
+        }
+        this.#showLocks()
+        this.setLCV('LOCK')
+        this.Alert()
+      },
+      () => { this.Alert() }]
+    )
+  }
+
   /**
    * Clears all patterns in the current preset
    * @private
    */
   #clearPreset () {
+    this.#remember('CLEAR')
     this.#resetBaseScaleOthers()
     let patternLocation = 0
     for (let pattern = 0; pattern < this.#playbackQueue.length; pattern++) {
@@ -1849,6 +2412,7 @@ class Engine {
       ])
       return
     }
+    this.#remember('CLEAR')
     for (let pattern = 0; pattern < this.#playbackQueue.length; pattern++) {
       this.clearInstrument(true, instrument, this.#playbackQueue[pattern], true)
     }
@@ -1881,27 +2445,34 @@ class Engine {
       ])
       return
     }
-    // (1) Clear the current instrument track
+    // (1) Clear the current instrument track and its step layers
+    !bypassUpdate && this.#remember('CLEAR', this.#getPatternMemoryLocation(_sc))
     let patternLocation = this.#memory[this.#getPatternMemoryLocation(_sc)]
     switch (_inst) {
       case 'HHC' : {
-        for (let i=0; i<16; i++) {
+        for (let i=0; i<this.#maxSteps; i++) {
           if (patternLocation[this.#I[_inst]][i] <= 2) {
             patternLocation[this.#I[_inst]][i] = 0
+            this.#stepLayers.forEach(layer => patternLocation[layer][this.#I[_inst]][i] = 0)
+            delete patternLocation[24][this.#I[_inst]][i]
           }
         } break
       }
       case 'HHO' : { 
-        for (let i=0; i<16; i++) {
+        for (let i=0; i<this.#maxSteps; i++) {
           if (patternLocation[this.#I[_inst]][i] >= 3) {
             patternLocation[this.#I[_inst]][i] = 0
+            this.#stepLayers.forEach(layer => patternLocation[layer][this.#I[_inst]][i] = 0)
+            delete patternLocation[24][this.#I[_inst]][i]
           }
         } break
       }
       default: {
-        for (let i=0; i<16; i++) {
+        for (let i=0; i<this.#maxSteps; i++) {
           patternLocation[this.#I[_inst]][i] = 0
+          this.#stepLayers.forEach(layer => patternLocation[layer][this.#I[_inst]][i] = 0)
         }
+        patternLocation[24][this.#I[_inst]] = {}
       }
     }
     
@@ -1935,13 +2506,18 @@ class Engine {
           return
         }
         // (1) Clear the selected pattern
-        let patternLocation = this.#memory[
-          patternIdx!==undefined?patternIdx:this.#getPatternMemoryLocation(_sc)]
+        const location = patternIdx!==undefined?patternIdx:this.#getPatternMemoryLocation(_sc)
+        this.#remember('CLEAR', location)
+        let patternLocation = this.#memory[location]
     
         // this.Log('CLEAR PATTERN: patternIdx', patternIdx)
         for (let i=0; i<11; i++) {
           patternLocation[i].fill(0)
+          this.#stepLayers.forEach(layer => patternLocation[layer][i].fill(0))
         }
+        patternLocation[22].fill(0) // track lengths
+        patternLocation[23].fill(0)
+        patternLocation[24] = Array.from({length: 11}, () => ({})) // parameter locks
     
         this.#resetBaseScaleOthers()
         patternLocation[12] = this.BASE
@@ -1989,8 +2565,9 @@ class Engine {
     let patternLocation = this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)]
     
     for (let i=0; i<16; i++) {
-      this.StateSetters[i](patternLocation[this.#I[this.SELECTED_INST]][i])
+      this.StateSetters[i](patternLocation[this.#I[this.SELECTED_INST]][this.#stepOf(i)])
     }
+    this.#lockEdit && this.#showLocks()
 
     return true
   }
@@ -2007,6 +2584,7 @@ class Engine {
     this.setSelInst(INST)
     this.highlightSelectedInstrument(INST)
     this.setMksState() 
+    this.#trackLengthEdit && this.#fadeOutMainKeysForNewBASE()
   }
 
   /** 
@@ -2025,7 +2603,7 @@ class Engine {
       const pattern = this.#memory[patternLocation];
       
       // Check if user has changed first or last beat
-      const first_last_beat_present = pattern[12] < 16 || pattern[16] > 0;
+      const first_last_beat_present = pattern[12] !== 16 || pattern[16] > 0 || pattern[22].some(length => length);
       
       // Store pattern template if first/last beat settings were changed
       if (first_last_beat_present) {
@@ -2185,7 +2763,8 @@ class Engine {
   changePattern (patternId, selectorCode=undefined, instantDisplayUpdate=true) {
     if (selectorCode) {
       // Use the provided selector code
-      this.SELECTOR_CODE = selectorCode.slice()
+      // song fields of a queue entry stay with the entry
+      this.SELECTOR_CODE = selectorCode.slice(0, 4)
 
       // Update relevant LED keys
       this.StateSetters['TrackKeys'](state => !state)
@@ -2197,13 +2776,13 @@ class Engine {
       this.SELECTOR_CODE[3] = patternId
       this.#playbackQueue[this.#patternNumber][3] = patternId
       if (this.#patternNumber===0) {
-        this.#playbackQueue[0] = this.SELECTOR_CODE.slice()
+        this.#playbackQueue[0] = [...this.SELECTOR_CODE, ...this.#playbackQueue[0].slice(4)]
       }
     }
 
     // Update the queue if we're changing the pattern
     if (this.#playbackQueue.length===1){
-      this.#playbackQueue[0] = this.SELECTOR_CODE.slice()
+      this.#playbackQueue[0] = [...this.SELECTOR_CODE, ...this.#playbackQueue[0].slice(4)]
     }
 
     // Update display and UI elements
@@ -2257,15 +2836,17 @@ class Engine {
    * @param {string} INST - Current instrument
    * @param {number} payload - Value to store (typically velocity/accent)
    * @param {boolean} altKey - Whether Alt key is pressed during click
+   * @param {number} [velocity=undefined] - Velocity of the press (1-127), undefined for keyboard presses
    */
-  consumeMk = (elementId, INST, payload, altKey) => {
+  consumeMk = (elementId, INST, payload, altKey, velocity=undefined) => {
     // this.Log("consumeMk:", elementId, INST, payload, altKey)
+    // The presses writing the preset remember it first, the ones playing it stay light
 
     // Handle special modes that aren't related to pattern editing
     if (this.#GLCV !== 'INST SELECT') {
       
       // Select bank with Alt key in bank table mode
-      if (this.isBankTable && this.isAltKey() && !this.#LAST_STEP && !this.#shuffleFlam) {
+      if (this.isBankTable && this.isAltKey() && !this.#LAST_STEP && !this.#shuffleFlam && !this.#isStepLayerEdit()) {
         const bankId = elementId>2?'UBa'+(elementId/2-2):'FBa'+elementId/2
         document.getElementById(bankId).click()
         this.#altKey = false
@@ -2286,13 +2867,13 @@ class Engine {
       // 2. Patterns sliced with first beat aren't "modulo clear" and can trigger cells outside pattern
       //    Patterns sliced with last beat are "modulo clear" - outside cells trigger inside the slice
       if (!this.isBankTable && !this.isQueueTable && !this.TRACK_WRITE) {
-        this.#beatRunnerCounter = !this.invert ? elementId-1 : elementId+1
+        this.#beatRunnerCounter = !this.invert ? this.#stepOf(elementId)-1 : this.#stepOf(elementId)+1
         return
       }
     }
     
     // Handle pattern selection in queue table mode with Alt key
-    if (this.TRACK_WRITE && (altKey || this.#altKey) && this.isQueueTable && !this.#LAST_STEP) {
+    if (this.TRACK_WRITE && (altKey || this.#altKey) && this.isQueueTable && !this.#LAST_STEP && !this.#isStepLayerEdit()) {
       // this.Log('Changing pattern to:', elementId)
       this.changePattern(elementId)
       this.StateSetters['QT'+this.#patternNumber](state => !state)
@@ -2300,9 +2881,22 @@ class Engine {
       return
     }
     
+    // Handle the tempo of the selected song entry in TEMPO mode
+    if (!this.TRACK_WRITE && this.#tempoStep && this.isQueueTable) {
+      this.#writeSongTempo(elementId)
+      return
+    }
+
+    // Handle the repeats and the jump of the selected song entry with Alt key
+    if (!this.TRACK_WRITE && (altKey || this.#altKey) && this.isQueueTable && this.#GLCV !== 'INST SELECT'
+      && !this.#LAST_STEP && !this.#shuffleFlam && !this.#isStepLayerEdit()) {
+      this.#writeSongEntry(elementId)
+      return
+    }
+
     // Handle instrument selection
     if ((this.#GLCV === 'INST SELECT' && !this.#COPY_TO) || 
-      (altKey || this.#altKey) && !this.#LAST_STEP && this.#GLCV !== 'TOTAL ACCENT') {
+      (altKey || this.#altKey) && !this.#LAST_STEP && !this.#isStepLayerEdit() && this.#GLCV !== 'TOTAL ACCENT') {
       // Play sound in TAP mode
       this.GLOBAL_MODE === 'TAP' && this.#soundTABLE[this.#I[INST]](
         this.#audioCtx.currentTime, elementId%2 + 1, 0.8, undefined, elementId)
@@ -2355,6 +2949,7 @@ class Engine {
 
     // Handle shuffle and flam adjustments
     if (this.#shuffleFlam) {
+      this.TRACK_WRITE && this.#remember(undefined, this.#patternScope())
       /* Set shuffle factor with first 7 MainKeys */
       if (elementId < 7) {
         this.#shuffleFactor = elementId/this.#swingFactor
@@ -2381,20 +2976,22 @@ class Engine {
 
     // Handle last step (pattern length) adjustments
     if (this.#LAST_STEP) {
+      this.#remember(undefined, this.#patternScope())
+      const step = this.#stepOf(elementId)
       if (altKey || this.#altKey) {
         // Set first beat with Alt key
-        if (elementId >= this.BASE) {
+        if (step >= this.BASE) {
           return
         }
-        // this.Log('WRITE FIRST BEAT:', elementId)
-        this.firstBeat = elementId
-        this.#writeToPattern(16, elementId)
+        // this.Log('WRITE FIRST BEAT:', step)
+        this.firstBeat = step
+        this.#writeToPattern(16, step)
       } else {
         // Set last beat (pattern length)
-        if (elementId < this.firstBeat) {
+        if (step < this.firstBeat) {
           return
         } 
-        this.BASE = elementId+1
+        this.BASE = step+1
         if (this.TRACK_WRITE) {
           // this.Log('WRITE LAST BEAT:', elementId)
           this.#writeToPattern(12, this.BASE)
@@ -2407,9 +3004,54 @@ class Engine {
       return
     }
 
+    // Handle the step held for parameter locks
+    if (this.#lockEdit) {
+      this.TRACK_WRITE && this.SELECTED_INST !== 'ALL' && this.GLOBAL_MODE === 'STEP' &&
+        this.#holdStep(this.#stepOf(elementId))
+      return
+    }
+
+    // Handle track length (polymetric tracks) adjustments
+    if (this.#trackLengthEdit) {
+      this.TRACK_WRITE && this.SELECTED_INST !== 'ALL' && 
+        this.#setTrackLength(this.#stepOf(elementId), altKey || this.#altKey)
+      return
+    }
+
+    // Handle the humanize section of the preset
+    if (this.#GLCV === 'HUMANIZE') {
+      this.#writeHumanize(elementId)
+      return
+    }
+
+    // Handle the count-in of the TAP recording and the click
+    if (this.#GLCV === 'COUNT IN') {
+      this.#writeCountIn(elementId)
+      return
+    }
+
+    // Handle the insert chain of the selected instrument
+    if (this.#GLCV === 'INSERT FX') {
+      this.#writeInsertFX(elementId)
+      return
+    }
+
+    // Handle the pattern transforms
+    if (this.#GLCV === 'TRANSFORM') {
+      this.TRACK_WRITE && this.#writeTransform(elementId)
+      return
+    }
+
+    // Handle the Euclidean generator
+    if (this.#euclidParam !== undefined) {
+      this.TRACK_WRITE && this.SELECTED_INST !== 'ALL' && this.#writeEuclid(this.#stepOf(elementId))
+      return
+    }
+
     // Handle queue table operations
     if (this.isQueueTable && !this.TRACK_WRITE && !this.#instSelect) {
       if (this.#playbackQueue.length < 120) {
+        this.#remember(undefined, 'SETTINGS')
         let patternAddress = this.SELECTOR_CODE.slice()
         patternAddress[3] = elementId
 
@@ -2420,7 +3062,8 @@ class Engine {
 
         // Update LED display
         this.StateSetters['setLastPat'](elementId+1)
-        this.StateSetters['setQueueLen'](this.#playbackQueue.length)
+        this.#updateSongDisplay()
+        this.setLCV('')
 
         // Turn on the LAST STEP key when queue has multiple patterns
         this.#playbackQueue.length > 1
@@ -2445,29 +3088,1120 @@ class Engine {
       case 'TAP': 
         // Handle accent track separately
         if (this.SELECTED_INST === 'AC') {
-          patternLocation[this.#I[this.SELECTED_INST]][elementId] = payload
+          this.#remember(this.GLOBAL_SSC !== 'STOP' ? 'TAP' : undefined, this.#patternScope())
+          patternLocation[this.#I[this.SELECTED_INST]][this.#stepOf(elementId)] = payload
           break
         }
 
         if (this.TRACK_WRITE) {
+          // the presses record while the sequencer runs
+          this.GLOBAL_SSC !== 'STOP' && this.#remember('TAP', this.#patternScope())
+
+          // ERASE recording removes the hits while the key is held, see #eraseSteps
+          if (this.#recordMode === 'ERASE') {
+            !this.#isCountingIn() && this.#erasing.add(INST)
+            break
+          }
+
+          // In the velocity layer the press position gives the velocity,
+          // keyboard presses record the last used one
+          if (this.#velocityEdit) {
+            this.#velocity = velocity || this.#velocity
+          }
+
           // Record note at current beat position if sequencer is running
-          if (this.GLOBAL_SSC !== 'STOP') {
-            patternLocation[this.#I[INST]][
-              this.#beatLocation()] = payload
+          // and the count-in has ended
+          if (this.GLOBAL_SSC !== 'STOP' && !this.#isCountingIn()) {
+            // REPLACE recording clears the track on its first hit of each loop
+            if (this.#recordMode === 'REPLACE' && !this.#replaced.has(INST)) {
+              this.#replaced.add(INST)
+              this.clearInstrument(true, INST, this.SELECTOR_CODE, true)
+            }
+            const [beatLocation, nudge] = this.#tapStep()
+            patternLocation[this.#I[INST]][beatLocation] = payload
+            this.#stepLayers.forEach(layer => patternLocation[layer][this.#I[INST]][beatLocation] = 0)
+            patternLocation[18][this.#I[INST]][beatLocation] = 
+              this.#velocityEdit ? this.#velocity : 0
+            // what the quantize leaves of the feel of the tap is kept as a nudge
+            patternLocation[21][this.#I[INST]][beatLocation] = nudge
           }
           
           // Play sound (elementId%2 + 1 computes accent based on key pressed)
           this.#soundTABLE[this.#I[INST]](
-            this.#audioCtx.currentTime, elementId%2 + 1, 0.8, undefined, elementId)
+            this.#audioCtx.currentTime, 
+            this.#velocityEdit ? this.#velocityToAccent(this.#velocity) : elementId%2 + 1, 
+            0.8, undefined, elementId)
         }
         break
 
       // STEP MODE (default) - Direct pattern editing
       default:
         if (this.TRACK_WRITE) {
-          patternLocation[this.#I[this.SELECTED_INST]][elementId] = payload
-        }
-    }
+          this.#remember(undefined, this.#patternScope())
+          const track = this.#I[this.SELECTED_INST]
+          const step = this.#stepOf(elementId)
+          // A note written through the velocity layer starts with the last used velocity,
+          // the following presses step it down through the velocity levels
+          if (this.#velocityEdit && this.SELECTED_INST !== 'AC' && (altKey || this.#altKey)) {
+            // same for the probability layer, 0 is a note that always plays
+            const probability = patternLocation[track][step] ?
+              this.#nextLevel(this.#probabilityLevels, patternLocation[19][track][step] || 100) : this.#probability
+            this.#probability = probability
+            patternLocation[19][track][step] = probability
+            this.setLCV('PROBABILITY ' + probability + '%')
+          } else if (this.#velocityEdit && this.SELECTED_INST !== 'AC') {
+            const velocity = patternLocation[track][step] ?
+              this.#nextLevel(this.#velocityLevels, patternLocation[18][track][step]) : this.#velocity
+            this.#velocity = velocity
+            patternLocation[18][track][step] = velocity
+            this.setLCV('VELOCITY ' + velocity)
+          } else if (this.#ratchetEdit && this.SELECTED_INST !== 'AC') {
+            // A note written through the ratchet layer starts with the last used repeats,
+            // the following presses step them down, ALT switches the velocity ramp
+            const ratchet = patternLocation[20][track][step]
+            if (altKey || this.#altKey) {
+              patternLocation[20][track][step] = ((ratchet & ~this.#RAMP) || this.#ratchet) | (~ratchet & this.#RAMP)
+            } else {
+              const repeats = patternLocation[track][step] ?
+                this.#nextLevel(this.#ratchetLevels, ratchet & ~this.#RAMP) : this.#ratchet
+              this.#ratchet = repeats
+              patternLocation[20][track][step] = repeats | (ratchet & this.#RAMP)
+            }
+            this.setLCV('RATCHET ' + this.#ratchetName(patternLocation[20][track][step]))
+          } else if (this.#nudgeEdit && this.SELECTED_INST !== 'AC') {
+            // A note written through the nudge layer starts with the last used offset,
+            // the following presses move it late, with ALT early
+            const nudge = !patternLocation[track][step] ? this.#nudge :
+              patternLocation[21][track][step] + ((altKey || this.#altKey) ? -this.#nudgeStep : this.#nudgeStep)
+            this.#nudge = Math.max(-50, Math.min(50, nudge))
+            patternLocation[21][track][step] = this.#nudge
+            this.setLCV('NUDGE ' + (this.#nudge > 0 ? '+' : '') + this.#nudge + '%')
+          } else if (this.#conditionEdit && this.SELECTED_INST !== 'AC') {
+            // A note written through the condition layer starts with the last used condition,
+            // the following presses step to the next one, with ALT back
+            const conditions = this.#conditions.length
+            this.#condition = !patternLocation[track][step] ? this.#condition :
+              (patternLocation[25][track][step] + ((altKey || this.#altKey) ? conditions - 1 : 1)) % conditions
+            patternLocation[25][track][step] = this.#condition
+            this.setLCV('CONDITION ' + this.#conditions[this.#condition])
+          } else {
+            // the accent value takes over again from the velocity
+            patternLocation[18][track][step] = 0
+          }
+          patternLocation[track][step] = payload
+          // the step layers and the locks go with the note
+          if (!payload) {
+            this.#stepLayers.forEach(layer => patternLocation[layer][track][step] = 0)
+            delete patternLocation[24][track][step]
+          }
+        }
+    }
+  }
+
+  /**
+   * Gives the level that follows the given value of a step layer,
+   * levels go down and wrap around to the highest one
+   * 
+   * @param {Array<number>} levels - Levels of the layer in descending order
+   * @param {number} value - Current value of the step
+   * @returns {number} The next level
+   * @private
+   */
+  #nextLevel(levels, value) {
+    const level = levels.findIndex(v => v < value)
+    return level < 0 ? levels[0] : levels[level]
+  }
+
+  /**
+   * Maps a step velocity onto the accent scale of the voices,
+   * 127 plays as loud as an accented note
+   * 
+   * @param {number} velocity - Step velocity (1-127)
+   * @returns {number} Accent level handed over to the voice
+   * @private
+   */
+  #velocityToAccent(velocity) {
+    return velocity/127 * 0.8
+  }
+
+  /**
+   * Gives the accent level of a step, the step velocity wins over the accent value
+   * 
+   * @param {Array} patternPlayed - Pattern data
+   * @param {number} track - Track index, see #I
+   * @param {number} beatNumber - Step of the pattern
+   * @returns {number} Accent value (1-2) or accent level of the velocity
+   * @private
+   */
+  #stepAccent(patternPlayed, track, beatNumber) {
+    const velocity = patternPlayed[18][track][beatNumber]
+    return velocity ? this.#velocityToAccent(velocity) : patternPlayed[track][beatNumber]
+  }
+
+  /**
+   * Returns true while the fill key is held
+   * @returns {boolean}
+   */
+  isFill = () => { return this.#fill }
+
+  /**
+   * Sets the fill key, steps with the FILL condition play while it is held
+   * @param {boolean} fill - True when the key is pressed, false when released
+   */
+  setFill(fill) {
+    if (this.#fill === fill) return
+    this.#fill = fill
+    this.StateSetters['sbFill-r'](state => !state)
+  }
+
+  /**
+   * Toggles HUMANIZE mode, MainKey(s) then set the humanize section of the preset.
+   * Works with SHIFT only, as the other modes writing the preset.
+   */
+  toggleHumanize() {
+    if (!this.TRACK_WRITE) return
+    const isHumanize = this.#GLCV !== 'HUMANIZE'
+    this.#manageGLCV(isHumanize, 'HUMANIZE')
+    isHumanize && this.setLCV(this.#humanizeName())
+  }
+
+  /**
+   * Sets the humanize section with a MainKey:
+   * keys 1-7 set the timing spread, keys 9-15 the velocity spread,
+   * key 8 switches all instruments and key 16 the selected instrument
+   * 
+   * @param {number} elementId - MainKey number (0-15)
+   * @private
+   */
+  #writeHumanize(elementId) {
+    this.#remember(undefined, 'SETTINGS')
+    const track = this.#I[this.SELECTED_INST]
+    if (elementId < 7) {
+      this.#humanize[0] = this.#humanizeTimings[elementId]
+    } else if (elementId === 7) {
+      this.#humanize[2] = this.#humanize[2] ? 0 : 0x7FF
+    } else if (elementId < 15) {
+      this.#humanize[1] = this.#humanizeVelocities[elementId - 8]
+    } else if (track !== undefined) {
+      this.#humanize[2] ^= 1 << track
+    }
+    this.setLCV(this.#humanizeName())
+    this.StateSetters['setHumanize'](this.#humanize.slice())
+  }
+
+  /**
+   * Gives the LED display name of the humanize section
+   * @returns {string} Spreads followed by the state of the selected instrument
+   * @private
+   */
+  #humanizeName() {
+    const track = this.#I[this.SELECTED_INST]
+    const isOn = track === undefined ? this.#humanize[2] : this.#humanize[2] & (1 << track)
+    return `H ${this.#humanize[0]}MS ${this.#humanize[1]}% ${this.SELECTED_INST} ${isOn ? 'ON' : 'OFF'}`
+  }
+
+  /**
+   * Synthesis section of the preset: bits of the tracks played by the analog model
+   * instead of the samples, 0 plays all samples
+   */
+  #synth = 0
+
+  /** Instruments the analog model can play */
+  #synthInsts = ['BD', 'SD', 'LT', 'MT', 'HT']
+
+  /**
+   * Gives the instruments played by the analog model
+   * @returns {Array<string>} Instruments, e.g. ['BD', 'LT']
+   */
+  getSynthInsts = () => { return this.#synthInsts.filter(inst => this.#isSynth(this.#I[inst])) }
+
+  /**
+   * Tells whether a track is played by the analog model
+   * @param {number} track - Track of the instrument
+   * @returns {boolean}
+   * @private
+   */
+  #isSynth(track) {
+    return (this.#synth & (1 << track)) > 0
+  }
+
+  /**
+   * Switches the selected instrument between the samples and the analog model.
+   * Works with SHIFT only, as the other modes writing the preset.
+   */
+  toggleSynth() {
+    if (!this.TRACK_WRITE) return
+    if (!this.#synthInsts.includes(this.SELECTED_INST)) {
+      this.#showBriefly('SYNTH BD SD TOMS')
+      return
+    }
+    this.#remember(undefined, 'SETTINGS')
+    this.#synth ^= 1 << this.#I[this.SELECTED_INST]
+    this.#showBriefly(`SYNTH ${this.SELECTED_INST} ${this.#isSynth(this.#I[this.SELECTED_INST]) ? 'ON' : 'OFF'}`)
+    this.StateSetters['sbSynth-r'](state => !state)
+  }
+
+  /** Instruments with an insert chain, by the first two letters of their knobs, the hats share one */
+  #fxInsts = ['BD', 'SD', 'LT', 'MT', 'HT', 'RS', 'HC', 'HH', 'CR', 'RD']
+
+  /**
+   * Parameters of the insert chains and their neutral values: cutoff and resonance of the filter,
+   * drive, sample rate and bit reduction, the reverb and delay sends, then the pan (50 is the middle).
+   * instSettings keeps them next to the knobs, e.g. 'BDcut'
+   */
+  #fxParams = {cut: 100, res: 0, drv: 0, rat: 0, bit: 0, rev: 0, dly: 0, pan: 50}
+
+  /** LED display names of the insert chain parameters */
+  #fxNames = {cut: 'CUTOFF', res: 'RESO', drv: 'DRIVE', rat: 'RATE', bit: 'BITS', rev: 'REVERB', dly: 'DELAY', pan: 'PAN'}
+
+  /** Values of the insert chain parameters set by MainKey(s) 1-8 */
+  #fxLevels = [0, 15, 30, 45, 60, 75, 90, 100]
+
+  /** Values of the pan set by MainKey(s) 1-8, left to right, the middle keys center */
+  #panLevels = [0, 17, 33, 50, 50, 67, 83, 100]
+
+  /** Insert chain parameter the MainKey(s) set */
+  #fxParam = 'cut'
+
+  /**
+   * Adds the insert chain parameters of every instrument to instSettings, neutral.
+   * They have no knobs, their setters do nothing
+   * @private
+   */
+  #createInsertFX() {
+    for (const inst of this.#fxInsts) {
+      for (const param in this.#fxParams) {
+        this.instSettings[inst + param] = [this.#fxParams[param], 0, () => {}]
+      }
+    }
+  }
+
+  /**
+   * Tells whether a key of instSettings is an insert chain parameter
+   * @param {string} key - Key of instSettings
+   * @returns {boolean}
+   * @private
+   */
+  #isFxKey(key) {
+    return this.#fxInsts.includes(key.slice(0, 2)) && this.#fxParams[key.slice(2)] !== undefined
+  }
+
+  /**
+   * Gives the insert chain of the selected instrument
+   * @returns {string|undefined} First two letters of its knobs, undefined for ALL and TOTAL ACCENT
+   * @private
+   */
+  #fxInst() {
+    const inst = this.SELECTED_INST === 'HHC' || this.SELECTED_INST === 'HHO' ? 'HH' : this.SELECTED_INST
+    return this.#fxInsts.includes(inst) ? inst : undefined
+  }
+
+  /**
+   * Toggles INSERT FX mode, MainKey(s) then set the insert chain of the selected instrument.
+   * Works with SHIFT only, as the other modes writing the preset.
+   */
+  toggleInsertFX() {
+    if (!this.TRACK_WRITE) return
+    const isInsertFX = this.#GLCV !== 'INSERT FX'
+    this.#manageGLCV(isInsertFX, 'INSERT FX')
+    isInsertFX && this.setLCV(this.#insertFXName())
+  }
+
+  /**
+   * Sets the insert chain of the selected instrument with a MainKey:
+   * keys 1-8 set the value of the parameter, keys 9-16 choose the parameter
+   * (cutoff, resonance, drive, sample rate, bits, reverb and delay sends, pan),
+   * the key of the parameter chosen sets it neutral, pressed again the whole chain
+   * 
+   * @param {number} elementId - MainKey number (0-15)
+   * @private
+   */
+  #writeInsertFX(elementId) {
+    this.#remember(undefined, 'SETTINGS')
+    const inst = this.#fxInst()
+    const params = Object.keys(this.#fxParams)
+    if (elementId > 7 && params[elementId - 8] !== this.#fxParam) {
+      this.#fxParam = params[elementId - 8]
+    } else if (inst && elementId > 7 && this.instSettings[inst + this.#fxParam][0] === this.#fxParams[this.#fxParam]) {
+      for (const param of params) this.instSettings[inst + param][0] = this.#fxParams[param]
+      this.setLCV(`FX ${inst} OFF`)
+      return
+    } else if (inst && elementId > 7) {
+      this.instSettings[inst + this.#fxParam][0] = this.#fxParams[this.#fxParam]
+    } else if (inst) {
+      const levels = this.#fxParam === 'pan' ? this.#panLevels : this.#fxLevels
+      this.instSettings[inst + this.#fxParam][0] = levels[elementId]
+    }
+    this.setLCV(this.#insertFXName())
+  }
+
+  /**
+   * Gives the LED display name of the insert chain of the selected instrument
+   * @returns {string} Instrument, parameter and its value
+   * @private
+   */
+  #insertFXName() {
+    const inst = this.#fxInst()
+    if (!inst) return 'FX SELECT INST'
+    let value = this.instSettings[inst + this.#fxParam][0]
+    if (this.#fxParam === 'pan') {
+      value = value === 50 ? 'C' : (value < 50 ? 'L' : 'R') + Math.abs(value - 50)*2
+    }
+    return `FX ${inst} ${this.#fxNames[this.#fxParam]} ${value}`
+  }
+
+  /** Contexts the bit reducer is loaded in, see #loadCrusher */
+  #crusherContexts = new WeakSet()
+
+  /** Drive curves by the drive value, curves play in any audio context */
+  #driveCurves = {}
+
+  /**
+   * Sample rate and bit reducer of the insert chains, an AudioWorklet processor.
+   * hold - samples each value is held for, bits - bit depth kept
+   */
+  #crusherCode = `
+    registerProcessor('crusher', class extends AudioWorkletProcessor {
+      static get parameterDescriptors() {
+        return [
+          {name: 'hold', defaultValue: 1, minValue: 1},
+          {name: 'bits', defaultValue: 16, minValue: 1, maxValue: 16},
+        ]
+      }
+      constructor() {
+        super()
+        this.count = 0
+        this.held = 0
+        this.started = false
+      }
+      process(inputs, outputs, parameters) {
+        const input = inputs[0][0]
+        const output = outputs[0][0]
+        // waits for the voice, ends with it
+        if (!input) return !this.started
+        this.started = true
+        const step = Math.pow(2, 1 - parameters.bits[0])
+        for (let i = 0; i < input.length; i++) {
+          if (this.count <= 0) {
+            this.held = Math.round(input[i]/step)*step
+            this.count += parameters.hold[0]
+          }
+          this.count--
+          output[i] = this.held
+        }
+        return true
+      }
+    })`
+
+  /**
+   * Loads the bit reducer into an audio context.
+   * Pages served without HTTPS have no AudioWorklet, the chains play without the reducer
+   * 
+   * @param {BaseAudioContext} audioCtx - Audio context, live or offline
+   * @returns {Promise<void>}
+   * @private
+   */
+  async #loadCrusher(audioCtx) {
+    if (!audioCtx.audioWorklet) return
+    try {
+      const url = URL.createObjectURL(new Blob([this.#crusherCode], {type: 'application/javascript'}))
+      await audioCtx.audioWorklet.addModule(url)
+      URL.revokeObjectURL(url)
+      this.#crusherContexts.add(audioCtx)
+    } catch (err) {
+      console.error('Error loading the bit reducer:', err)
+    }
+  }
+
+  /**
+   * Gives the curve of the drive waveshaper
+   * @param {number} drive - Drive value (0-100)
+   * @returns {Float32Array} Soft clipping curve
+   * @private
+   */
+  #driveCurve(drive) {
+    if (!this.#driveCurves[drive]) {
+      const k = 1 + drive/10
+      const curve = new Float32Array(1024)
+      for (let i = 0; i < curve.length; i++) {
+        const x = i*2/(curve.length - 1) - 1
+        curve[i] = Math.tanh(k*x)/Math.tanh(k)
+      }
+      this.#driveCurves[drive] = curve
+    }
+    return this.#driveCurves[drive]
+  }
+
+  /** Send buses by the merger they mix into, see #createSendBuses */
+  #sendBuses = new WeakMap()
+
+  /** Length of the reverb impulse (s), the tail falls by 60dB within it */
+  #reverbTime = 1.8
+
+  /** Reverb impulse, generated once, buffers play in any audio context */
+  #impulse = undefined
+
+  /** Delay time in beats, a dotted eighth */
+  #delayBeats = 0.75
+
+  /** Seeds of the reverb noise, one per side, so every render gets the same tail */
+  #impulseSeeds = [0x52455642, 0x54414946]
+
+  /**
+   * Gives the reverb impulse: noise decaying exponentially, darker as it fades,
+   * each side with its own noise for a wide tail
+   * @returns {AudioBuffer} The stereo impulse
+   * @private
+   */
+  #reverbImpulse() {
+    if (!this.#impulse) {
+      const sampleRate = this.#audioCtx.sampleRate
+      this.#impulse = new AudioBuffer({
+        numberOfChannels: 2, length: Math.round(sampleRate * this.#reverbTime), sampleRate: sampleRate})
+      this.#impulseSeeds.forEach((seed, channel) => {
+        const random = this.#seededRandom(seed)
+        const data = this.#impulse.getChannelData(channel)
+        let smoothed = 0
+        for (let i = 0; i < data.length; i++) {
+          const t = i / data.length
+          // the one-pole lowpass closes as the tail fades
+          smoothed += (random()*2 - 1 - smoothed) * (1 - 0.9*t)
+          data[i] = smoothed * Math.exp(-6.9 * t)
+        }
+      })
+    }
+    return this.#impulse
+  }
+
+  /**
+   * Creates the reverb and delay buses mixing into a merger, before its compressor
+   * 
+   * @param {BaseAudioContext} audioCtx - Audio context, live or offline
+   * @param {GainNode} merger - Stereo bus the buses mix into
+   * @param {number} [tempo] - Tempo the delay follows (BPM)
+   * @private
+   */
+  #createSendBuses(audioCtx, merger, tempo) {
+    const reverb = new GainNode(audioCtx)
+    const Convolver = new ConvolverNode(audioCtx, {buffer: this.#reverbImpulse()})
+    reverb.connect(Convolver).connect(merger)
+
+    // the repeats get darker
+    const delay = new GainNode(audioCtx)
+    const DelayLine = new DelayNode(audioCtx, {maxDelayTime: 4})
+    const Damping = new BiquadFilterNode(audioCtx, {type: 'lowpass', frequency: 3500})
+    const Feedback = new GainNode(audioCtx, {gain: 0.35})
+    delay.connect(DelayLine).connect(merger)
+    DelayLine.connect(Damping).connect(Feedback).connect(DelayLine)
+
+    const buses = {reverb: reverb, delay: delay, delayLine: DelayLine, tempo: undefined}
+    this.#sendBuses.set(merger, buses)
+    this.#syncDelay(merger, tempo, audioCtx.currentTime)
+  }
+
+  /**
+   * Sets the delay time of the buses of a merger to the tempo
+   * 
+   * @param {GainNode} merger - Stereo bus of the buses
+   * @param {number} tempo - Tempo (BPM)
+   * @param {number} time - Time the tempo changes
+   * @private
+   */
+  #syncDelay(merger, tempo, time) {
+    const buses = this.#sendBuses.get(merger)
+    if (!buses || !tempo || buses.tempo === tempo) return
+    buses.tempo = tempo
+    buses.delayLine.delayTime.setTargetAtTime(60 / tempo * this.#delayBeats, time, 0.02)
+  }
+
+  /**
+   * Tells whether any instrument sends to the buses, the render then keeps their tail
+   * @returns {boolean}
+   * @private
+   */
+  #hasSends() {
+    return this.#fxInsts.some(inst => this.instSettings[inst + 'rev'][0] || this.instSettings[inst + 'dly'][0])
+  }
+
+  /**
+   * Builds the insert chain of an instrument for a voice: filter, drive, the bit reducer,
+   * the sends to the buses, then the pan. Stages at their neutral values are left out,
+   * a neutral chain is the merger itself.
+   * Voices build it in the audio context they play in, the render included
+   * 
+   * @param {string} inst - First two letters of the knobs of the instrument, e.g. 'BD' or 'HH'
+   * @param {BaseAudioContext} audioCtx - Audio context
+   * @param {GainNode} merger - Stereo bus for output
+   * @returns {AudioNode} Input of the chain, the voice connects its level to it
+   * @private
+   */
+  #insertFX(inst, audioCtx, merger) {
+    const fx = (param) => this.#knob(inst + param)
+    // built from the end
+    let input = merger
+
+    if (fx('pan') !== 50) {
+      const Panner = new StereoPannerNode(audioCtx, {pan: (fx('pan') - 50)/50})
+      Panner.connect(input)
+      input = Panner
+    }
+
+    const buses = this.#sendBuses.get(merger)
+    if (buses && (fx('rev') || fx('dly'))) {
+      const Sends = new GainNode(audioCtx)
+      Sends.connect(input)
+      // the buses take the voice before its pan
+      Sends.connect(new GainNode(audioCtx, {gain: fx('rev')/100})).connect(buses.reverb)
+      Sends.connect(new GainNode(audioCtx, {gain: fx('dly')/100})).connect(buses.delay)
+      buses.tempo === undefined && this.#syncDelay(merger, this.#giveTempo(), audioCtx.currentTime)
+      input = Sends
+    }
+
+    if ((fx('rat') || fx('bit')) && this.#crusherContexts.has(audioCtx)) {
+      const Crusher = new AudioWorkletNode(audioCtx, 'crusher', {parameterData: {
+        hold: 1 + Math.round(fx('rat')/100 * 31),
+        bits: 16 - fx('bit')/100 * 13,
+      }})
+      Crusher.connect(input)
+      input = Crusher
+    }
+
+    if (fx('drv')) {
+      const Drive = new WaveShaperNode(audioCtx, {curve: this.#driveCurve(fx('drv')), oversample: '2x'})
+      Drive.connect(input)
+      input = Drive
+    }
+
+    if (fx('cut') < 100 || fx('res')) {
+      const Filter = new BiquadFilterNode(audioCtx, {
+        type: 'lowpass',
+        frequency: 20 * Math.pow(2, fx('cut')/10),
+        Q: 0.707 + fx('res')/100 * 19.3,
+      })
+      Filter.connect(input)
+      input = Filter
+    }
+    return input
+  }
+
+  /** Bars of the count-in before the TAP recording, 0 is OFF */
+  #countIn = 0
+
+  /** AudioContext time the count-in ends */
+  #countInEnd = 0
+
+  /** IDs for the timeouts of the count-in display */
+  #countInIDs = []
+
+  /**
+   * Gives the bars of the count-in
+   * @returns {number} 0, 1 or 2
+   */
+  getCountIn = () => { return this.#countIn }
+
+  /**
+   * Toggles COUNT IN mode, MainKey(s) then set the count-in and the click.
+   * Works with SHIFT only, as the other modes writing the settings.
+   */
+  toggleCountIn() {
+    if (!this.TRACK_WRITE) return
+    const isCountIn = this.#GLCV !== 'COUNT IN'
+    this.#manageGLCV(isCountIn, 'COUNT IN')
+    isCountIn && this.setLCV(this.#countInName())
+  }
+
+  /**
+   * Sets the count-in with a MainKey:
+   * keys 1-3 set the bars (OFF, 1, 2), keys 5-8 the level of the click,
+   * keys 9-16 the pitch of the click
+   * 
+   * @param {number} elementId - MainKey number (0-15)
+   * @private
+   */
+  #writeCountIn(elementId) {
+    if (elementId < 3) {
+      this.#countIn = elementId
+    } else if (elementId > 3 && elementId < 8) {
+      this.#clickLevel = this.#clickLevels[elementId - 4]
+    } else if (elementId > 7) {
+      this.#pulseHz = this.#pulseHzs[elementId - 8]
+    }
+    this.setLCV(this.#countInName())
+    this.StateSetters['sbCount-r'](state => !state)
+    // the click is heard as it is set
+    elementId > 3 && this.#playClick(this.#audioCtx.currentTime)
+  }
+
+  /**
+   * Gives the LED display name of the count-in
+   * @returns {string} Bars followed by the level and the pitch of the click
+   * @private
+   */
+  #countInName() {
+    return `COUNT IN ${this.#countIn ? this.#countIn + ' BAR' : 'OFF'} ${this.#clickLevel}% ${this.#pulseHz}HZ`
+  }
+
+  /**
+   * Clicks the count-in and counts its beats down on the LED display.
+   * A bar lasts the pattern, its beats follow the SCALE
+   * 
+   * @param {number} time - AudioContext time the count-in starts
+   * @returns {number} AudioContext time the count-in ends
+   * @private
+   */
+  #playCountIn(time) {
+    const pattern = this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)]
+    const entry = this.#playbackQueue[this.#patternNumber]
+    const tempo = entry ? this.#tempoAt(entry, 0, this.firstBeat, undefined, pattern) : this.#giveTempo()
+    const beatsPerBar = Math.max(1, Math.round((this.BASE - this.firstBeat) / this.#grid))
+    const beats = beatsPerBar * this.#countIn
+    const secondsPerBeat = 60.0 / tempo
+
+    this.#stopCountIn()
+    for (let beat = 0; beat < beats; beat++) {
+      const beatTime = time + beat * secondsPerBeat
+      this.#playClick(beatTime, beat % beatsPerBar === 0)
+      this.#countInIDs.push(setTimeout(
+        () => this.setLCV(`COUNT IN ${beats - beat}`),
+        (beatTime - this.#audioCtx.currentTime) * 1000))
+    }
+    this.#countInEnd = time + beats * secondsPerBeat
+    this.#countInIDs.push(setTimeout(
+      () => this.clearLCVDisplay(this.GLOBAL_LED_CONTROL_VARIABLE()),
+      (this.#countInEnd - this.#audioCtx.currentTime) * 1000))
+    return this.#countInEnd
+  }
+
+  /**
+   * Stops the count-in display, the clicks already scheduled still sound
+   * @private
+   */
+  #stopCountIn() {
+    this.#countInIDs.forEach(id => clearTimeout(id))
+    this.#countInIDs.length = 0
+    this.#countInEnd = 0
+  }
+
+  /**
+   * Returns true while the count-in plays, nothing is recorded then
+   * @returns {boolean}
+   * @private
+   */
+  #isCountingIn() {
+    return this.#audioCtx.currentTime < this.#countInEnd
+  }
+
+  /**
+   * Moves the time of a voice by the timing spread of the humanize section
+   * 
+   * @param {number} track - Track index, see #I
+   * @param {Function} random - Random source returning numbers in [0, 1)
+   * @returns {number} Offset in seconds
+   * @private
+   */
+  #humanizeTime(track, random) {
+    if (!this.#humanize[0] || !(this.#humanize[2] & (1 << track))) return 0
+    return (random()*2 - 1) * this.#humanize[0]/1000
+  }
+
+  /**
+   * Varies the accent of a voice by the velocity spread of the humanize section
+   * 
+   * @param {number} track - Track index, see #I
+   * @param {number} accent - Accent value (1-2) or accent level of the step
+   * @param {Function} random - Random source returning numbers in [0, 1)
+   * @returns {number} Accent value or the varied accent level
+   * @private
+   */
+  #humanizeAccent(track, accent, random) {
+    if (!this.#humanize[1] || !(this.#humanize[2] & (1 << track))) return accent
+    return this.#accentLevel(accent) * (1 + (random()*2 - 1) * this.#humanize[1]/100)
+  }
+
+  /**
+   * Gives the accent level of an accent value, the voices map 1 and 2 the same way
+   * 
+   * @param {number} accent - Accent value (1-2) or accent level
+   * @returns {number} Accent level
+   * @private
+   */
+  #accentLevel(accent) {
+    return accent === 1 ? 0.6 : accent === 2 ? 0.8 : accent
+  }
+
+  /**
+   * Gives the LED display name of a ratchet step
+   * 
+   * @param {number} ratchet - Step repeats, with the RAMP bit
+   * @returns {string} Repeats followed by RAMP if the velocity ramps up
+   * @private
+   */
+  #ratchetName(ratchet) {
+    return ((ratchet & ~this.#RAMP) || 1) + (ratchet & this.#RAMP ? ' RAMP' : '')
+  }
+
+  /**
+   * Sets the last or the first step of the selected track.
+   * A track set to the first and last step of the pattern follows the pattern again.
+   * 
+   * @param {number} step - Step of the pattern
+   * @param {boolean} isFirst - Sets the first step if true, the last one otherwise
+   * @private
+   */
+  #setTrackLength(step, isFirst) {
+    const patternLocation = this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)]
+    const track = this.#I[this.SELECTED_INST]
+    let [first, last] = this.#trackRange(patternLocation, track)
+    isFirst ? first = step : last = step + 1
+    if (first >= last) return
+    this.#remember(undefined, this.#patternScope())
+
+    const follows = first === patternLocation[16] && last === patternLocation[12]
+    patternLocation[22][track] = follows ? 0 : last - first
+    patternLocation[23][track] = follows ? 0 : first
+    this.setLCV(`TRACK ${first + 1}-${last}`)
+    this.#fadeOutMainKeysForNewBASE()
+  }
+
+  /**
+   * Sets a value of the Euclidean generator with the step of the MainKey,
+   * then fills the selected track with the hits spread evenly over the track.
+   * Hits are written the same way STEP mode does, accents with the accent value.
+   * 
+   * @param {number} step - Step of the pattern
+   * @private
+   */
+  #writeEuclid(step) {
+    this.#remember(undefined, this.#patternScope())
+    const patternLocation = this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)]
+    const inst = this.SELECTED_INST
+    const track = this.#I[inst]
+    const [first, last] = this.#trackRange(patternLocation, track)
+    const length = last - first
+
+    // MainKey 1 gives 1 hit, rotation 0 and 1 accent, the key of the current accents turns them OFF
+    const value = this.#euclidParam === 1 ? step % length : Math.min(step + 1, length)
+    this.#euclid[this.#euclidParam] = 
+      this.#euclidParam === 2 && value === this.#euclid[2] ? 0 : value
+    const [hits, rotation, accents] = [Math.min(this.#euclid[0], length), this.#euclid[1] % length, this.#euclid[2]]
+
+    const [normal, accented] = inst === 'HHO' ? [3, 6] : [1, 2]
+    let hit = 0
+    for (let i = 0; i < length; i++) {
+      const state = patternLocation[track][first + i]
+      if (this.#isEuclidHit((i - rotation + length) % length, hits, length)) {
+        patternLocation[track][first + i] = 
+          this.#isEuclidHit(hit++, Math.min(accents, hits), hits) ? accented : normal
+      } else if (inst === 'HHC' && state > 2 || inst === 'HHO' && state < 3) {
+        // the other hi-hat sits on the same track
+        continue
+      } else {
+        patternLocation[track][first + i] = 0
+      }
+      this.#stepLayers.forEach(layer => patternLocation[layer][track][first + i] = 0)
+    }
+
+    this.setLCV(`E${hits}/${length} R${rotation} A${Math.min(accents, hits)}`)
+    this.updatePatternAndInstSTEP()
+    this.setMksState()
+  }
+
+  /**
+   * Pattern transforms, MainKey(s) 1-6 apply them to the selected instrument,
+   * MainKey(s) 9-14 to the whole pattern
+   */
+  #transforms = ['ROTATE LEFT', 'ROTATE RIGHT', 'REVERSE', 'DOUBLE', 'HALVE', 'INVERT']
+
+  /**
+   * Toggles TRANSFORM mode, MainKey(s) then transform the pattern
+   * @private
+   */
+  #toggleTransform() {
+    const isTransform = this.#GLCV !== 'TRANSFORM'
+    this.#manageGLCV(isTransform, 'TRANSFORM')
+    isTransform && this.setLCV('TRANSFORM')
+  }
+
+  /**
+   * Transforms the selected instrument or the whole pattern with a MainKey, see #transforms.
+   * Each track is transformed within its steps (see #trackRange), 
+   * the step layers and the locks move with the notes.
+   * 
+   * @param {number} elementId - MainKey number (0-15)
+   * @private
+   */
+  #writeTransform(elementId) {
+    const transform = this.#transforms[elementId % 8]
+    if (!transform) return
+    this.#remember(undefined, this.#patternScope())
+    const patternLocation = this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)]
+    const track = this.#I[this.SELECTED_INST]
+    const isPattern = elementId > 7 || track === undefined
+
+    if (isPattern) {
+      for (let i = 0; i < 11; i++) {
+        this.#transformTrack(patternLocation, i, transform)
+      }
+    } else {
+      this.#transformTrack(patternLocation, track, transform, this.SELECTED_INST)
+    }
+
+    this.setLCV(`${transform} ${isPattern ? 'PATTERN' : this.SELECTED_INST}`)
+    this.updatePatternAndInstSTEP()
+    this.setMksState()
+  }
+
+  /**
+   * Transforms a track within its steps:
+   * ROTATE LEFT/RIGHT - moves the steps by one, the step falling out comes back on the other side,
+   * REVERSE - plays the steps backwards,
+   * DOUBLE - repeats the first half of the steps in the second half,
+   * HALVE - plays every second step in the first half, the second half is left empty,
+   * INVERT - empty steps get a note, notes are removed.
+   * The hi-hats move together, INVERT of a hi-hat leaves the other one alone.
+   * 
+   * @param {Array} patternLocation - Pattern data
+   * @param {number} track - Track index, see #I
+   * @param {string} transform - Transform, see #transforms
+   * @param {string} [inst] - Instrument inverted on the hi-hat track, HHC when missing
+   * @private
+   */
+  #transformTrack(patternLocation, track, transform, inst='HHC') {
+    const [first, last] = this.#trackRange(patternLocation, track)
+    const length = last - first
+    const notes = patternLocation[track].slice()
+    const layers = this.#stepLayers.map(layer => patternLocation[layer][track].slice())
+    const locks = patternLocation[24][track]
+    const movedLocks = {}
+    const half = Math.ceil(length / 2)
+
+    // the locks outside of the steps stay
+    Object.keys(locks).forEach(step => {
+      if (step < first || step >= last) movedLocks[step] = locks[step]
+    })
+
+    for (let i = 0; i < length; i++) {
+      const step = first + i
+      let source
+      switch (transform) {
+        case 'ROTATE LEFT': source = (i + 1) % length; break
+        case 'ROTATE RIGHT': source = (i - 1 + length) % length; break
+        case 'REVERSE': source = length - 1 - i; break
+        case 'DOUBLE': source = i % half; break
+        case 'HALVE': source = i < half ? i * 2 : -1; break
+        default: source = i
+      }
+
+      if (transform === 'INVERT') {
+        const isHHO = track === this.#I['HHO'] && inst === 'HHO'
+        // the other hi-hat sits on the same track
+        if (track === this.#I['HHO'] && (isHHO ? notes[step] && notes[step] < 3 : notes[step] >= 3)) {
+          if (locks[step]) movedLocks[step] = locks[step]
+          continue
+        }
+        patternLocation[track][step] = notes[step] ? 0 : isHHO ? 3 : 1
+        this.#stepLayers.forEach(layer => patternLocation[layer][track][step] = 0)
+        continue
+      }
+
+      if (source < 0) {
+        patternLocation[track][step] = 0
+        this.#stepLayers.forEach(layer => patternLocation[layer][track][step] = 0)
+        continue
+      }
+      patternLocation[track][step] = notes[first + source]
+      this.#stepLayers.forEach((layer, l) => patternLocation[layer][track][step] = layers[l][first + source])
+      if (locks[first + source]) movedLocks[step] = {...locks[first + source]}
+    }
+    patternLocation[24][track] = movedLocks
+  }
+
+  /**
+   * Tells if a step of an Euclidean rhythm is a hit (Bresenham spread),
+   * the first step is always a hit
+   * 
+   * @param {number} i - Step of the rhythm
+   * @param {number} hits - Hits of the rhythm
+   * @param {number} length - Steps of the rhythm
+   * @returns {boolean}
+   * @private
+   */
+  #isEuclidHit(i, hits, length) {
+    return hits > 0 && (i * hits) % length < hits
+  }
+
+  /**
+   * Turns the Euclidean generator OFF, the Q key shows the quantize again
+   * @private
+   */
+  #euclidOFF() {
+    this.#euclidParam = undefined
+    this.StateSetters['Q'](this.#quantize)
+  }
+
+  /**
+   * Gives the first and the last (exclusive) step of a track,
+   * tracks without their own length follow the pattern
+   * 
+   * @param {Array} patternLocation - Pattern data
+   * @param {number} track - Track index, see #I
+   * @returns {Array<number>} [first, last]
+   * @private
+   */
+  #trackRange(patternLocation, track) {
+    const length = patternLocation[22][track]
+    if (!length) return [patternLocation[16], patternLocation[12]]
+    return [patternLocation[23][track], patternLocation[23][track] + length]
+  }
+
+  /**
+   * Gives the step each track plays for the step of the pattern.
+   * Tracks with their own length run their own play-head, so they cycle
+   * against the pattern (polymeter), the pattern length stays the master
+   * that switches patterns in #moveToNextPattern.
+   * 
+   * @param {Array} patternPlayed - Pattern data
+   * @param {number} beatNumber - Step of the pattern
+   * @param {Array<number>} ticks - Steps played by the tracks, advanced here
+   * @param {number} invert - 1 if the pattern plays backwards
+   * @returns {Array<number>} Step of each track, see #I
+   * @private
+   */
+  #advanceTracks(patternPlayed, beatNumber, ticks, invert) {
+    return ticks.map((tick, track) => {
+      const length = patternPlayed[22][track]
+      if (!length) return beatNumber
+      ticks[track] = tick + 1
+      const step = tick % length
+      return patternPlayed[23][track] + (!invert ? step : length - 1 - step)
+    })
+  }
+
+  /**
+   * Gives the step a tap records into and the nudge that keeps its timing.
+   * The tap is placed among the shuffled steps, taken back by the output latency
+   * to where it was heard, then moved towards the quantize grid by the quantize strength.
+   * It goes into the nearest step, the quantize grid may sit between the steps
+   * 
+   * @returns {Array<number>} [step, nudge], nudge in % of a step, within ±50%
+   * @private
+   */
+  #tapStep() {
+    const [time, duration, beatNumber] = this.#scheduledStep
+    const length = this.BASE - this.firstBeat
+    // steps are counted from the first one in the direction of the playback
+    let step = !this.invert ? beatNumber - this.firstBeat : this.BASE-1 - beatNumber
+    // what is heard now was scheduled the output latency ago
+    let offset = this.#audioCtx.currentTime - (this.#audioCtx.outputLatency || 0) - time
+    // the shuffle lengthens the even steps and shortens the odd ones
+    const secondsPerBeat = duration / (1 + (beatNumber % 2 == 0 ? 1 : -1) * this.#shuffleFactor)
+    let stepTime = duration
+    // the scheduler runs ahead, the tap mostly falls into the steps before the scheduled one
+    while (offset < 0 && stepTime > 0) {
+      step--
+      const beat = !this.invert ? this.firstBeat + step : this.BASE-1 - step
+      stepTime = secondsPerBeat * (1 + (beat % 2 == 0 ? 1 : -1) * this.#shuffleFactor)
+      offset += stepTime
+    }
+    let position = step + (stepTime > 0 ? offset / stepTime : 0)
+
+    if (this.#quantize) {
+      const grid = this.#quantizeBeats[this.#quantizeGrid] * this.#grid
+      const snap = Math.round(position / grid) * grid
+      position += (snap - position) * this.#quantizeStrength / 100
+    }
+
+    const nearest = Math.round(position)
+    const nudge = Math.round((position - nearest) * 100)
+    const wrapped = (nearest % length + length) % length
+    return [!this.invert ? this.firstBeat + wrapped : this.BASE-1 - wrapped, nudge]
+  }
+
+  /**
+   * Repeats the voice of a step evenly across the step (ratchet),
+   * the RAMP bit ramps the accent level up towards the last repeat
+   * 
+   * @param {Array} patternPlayed - Pattern data
+   * @param {number} track - Track index, see #I
+   * @param {number} beatNumber - Step of the pattern
+   * @param {number} time - AudioContext time of the step
+   * @param {number} stepTime - Duration of the step in seconds
+   * @param {number} accent - Accent value (1-2) or accent level of the step
+   * @param {Function} play - Plays the voice, called with (time, accent)
+   * @private
+   */
+  #ratchetStep(patternPlayed, track, beatNumber, time, stepTime, accent, play) {
+    const ratchet = patternPlayed[20][track][beatNumber]
+    const repeats = (ratchet & ~this.#RAMP) || 1
+    if (repeats === 1) {
+      play(time, accent)
+      return
+    }
+
+    const level = this.#accentLevel(accent)
+    for (let hit = 0; hit < repeats; hit++) {
+      play(time + hit*stepTime/repeats,
+        ratchet & this.#RAMP ? level * (hit + 1)/repeats : accent)
+    }
+  }
+
+  /**
+   * Rolls the chance of a step, steps without a probability always play
+   * 
+   * @param {Array} patternPlayed - Pattern data
+   * @param {number} track - Track index, see #I
+   * @param {number} beatNumber - Step of the pattern
+   * @param {Function} random - Random source returning numbers in [0, 1)
+   * @returns {boolean} True if the step plays
+   * @private
+   */
+  #stepPlays(patternPlayed, track, beatNumber, random) {
+    const probability = patternPlayed[19][track][beatNumber]
+    return !probability || random()*100 < probability
+  }
+
+  /**
+   * Tells if the condition of a step is met, steps without a condition always play
+   * 
+   * @param {Array} patternPlayed - Pattern data
+   * @param {number} track - Track index, see #I
+   * @param {number} beatNumber - Step of the pattern
+   * @param {Object} trig - Loop of the pattern, fill key and fired tracks, see #playMachine
+   * @returns {boolean} True if the step plays
+   * @private
+   */
+  #conditionMet(patternPlayed, track, beatNumber, trig) {
+    const condition = this.#conditions[patternPlayed[25][track][beatNumber]]
+    switch (condition) {
+      case 'ALWAYS': return true
+      case 'FIRST': return trig.loop === 0
+      case 'NOT FIRST': return trig.loop > 0
+      case 'FILL': return trig.fill
+      case 'NOT FILL': return !trig.fill
+      case 'PRE': return trig.fired[track]
+      case 'NOT PRE': return !trig.fired[track]
+      default: {
+        const [a, b] = condition.split(':')
+        return trig.loop % b === a - 1
+      }
+    }
+  }
+
+  /**
+   * Creates a seeded random source (mulberry32), so renders can be reproduced
+   * 
+   * @param {number} seed - 32-bit seed
+   * @returns {Function} Random source returning numbers in [0, 1)
+   * @private
+   */
+  #seededRandom(seed) {
+    let state = seed >>> 0
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0
+      let t = Math.imul(state ^ state >>> 15, state | 1)
+      t ^= t + Math.imul(t ^ t >>> 7, t | 61)
+      return ((t ^ t >>> 14) >>> 0) / 4294967296
+    }
   }
 
   /** 
@@ -2490,23 +4224,138 @@ class Engine {
 
   /** Flag for quantization of recorded notes */
   #quantize = false
-  
+
+  /** Names of the quantize grids */
+  #quantizeGrids = ['1/16', '1/8', '1/8T']
+
+  /** Quantize grids in beats, the steps per beat come from the SCALE (see #grid) */
+  #quantizeBeats = [1/4, 1/2, 1/3]
+
+  /** Index of the quantize grid */
+  #quantizeGrid = 0
+
+  /** Strengths the quantize steps through */
+  #quantizeStrengths = [100, 75, 50, 25]
+
+  /** How far the recorded notes move towards the quantize grid in % */
+  #quantizeStrength = 100
+
+  /** ID for the timeout of the brief LED display */
+  #briefOffID
+
   /**
-   * Calculates the beat position for recording notes
-   * Applies quantization if enabled
-   * 
-   * @returns {number} The beat position to record at
+   * Toggles quantization of recorded notes
+   * @private
+   */
+  #toggleQuantize() {
+    this.#quantize = !this.#quantize
+    this.StateSetters['Q'](this.#quantize)
+  }
+
+  /**
+   * Steps the quantize through its grids: OFF, 1/16, 1/8, 1/8T and OFF again
+   * @private
+   */
+  #nextQuantizeGrid() {
+    if (!this.#quantize) {
+      this.#quantizeGrid = 0
+      this.#toggleQuantize()
+    } else if (this.#quantizeGrid === this.#quantizeGrids.length-1) {
+      this.#toggleQuantize()
+    } else {
+      this.#quantizeGrid++
+    }
+    this.#showQuantize()
+  }
+
+  /**
+   * Steps the quantize through its strengths
+   * @private
+   */
+  #nextQuantizeStrength() {
+    this.#quantizeStrength = this.#nextLevel(this.#quantizeStrengths, this.#quantizeStrength)
+    this.#showQuantize()
+  }
+
+  /**
+   * Shows the quantize on the LED display for a second
+   * @private
+   */
+  #showQuantize() {
+    this.#showBriefly(this.#quantize ?
+      `QUANTIZE ${this.#quantizeGrids[this.#quantizeGrid]} ${this.#quantizeStrength}%` :
+      'QUANTIZE OFF')
+  }
+
+  /**
+   * Shows a value on the LED display for a second, then the GLCV again
+   * @param {string} value - Value to show
+   * @private
+   */
+  #showBriefly(value) {
+    clearTimeout(this.#briefOffID)
+    this.setLCV(value)
+    this.#briefOffID = setTimeout(
+      () => this.clearLCVDisplay(this.GLOBAL_LED_CONTROL_VARIABLE()), 
+      1000)
+  }
+
+  /**
+   * Modes of the TAP recording:
+   * OVERDUB - the taps are added to the track,
+   * REPLACE - the first tap of each loop clears the track,
+   * ERASE - a held key removes the hits of its instrument as the play-head passes
+   */
+  #recordModes = ['OVERDUB', 'REPLACE', 'ERASE']
+
+  /** Mode of the TAP recording, see #recordModes */
+  #recordMode = 'OVERDUB'
+
+  /** Instruments whose tracks were cleared by REPLACE recording in this loop */
+  #replaced = new Set()
+
+  /** Instruments whose keys are held in ERASE recording */
+  #erasing = new Set()
+
+  /**
+   * Steps the TAP recording through its modes
+   * @private
    */
-  #beatLocation() {
-    if (!this.#quantize) return this.#beatRunnerCounter
-    else if (this.#beatRunnerCounter < 2) return 0
-    else if (this.#beatRunnerCounter < 4) return 2
-    else if (this.#beatRunnerCounter < 6) return 4
-    else if (this.#beatRunnerCounter < 8) return 6
-    else if (this.#beatRunnerCounter < 10) return 8
-    else if (this.#beatRunnerCounter < 12) return 10
-    else if (this.#beatRunnerCounter < 14) return 12
-    else if (this.#beatRunnerCounter < 16) return 14
+  #nextRecordMode() {
+    const mode = (this.#recordModes.indexOf(this.#recordMode) + 1) % this.#recordModes.length
+    this.#recordMode = this.#recordModes[mode]
+    this.#replaced.clear()
+    this.#erasing.clear()
+    this.#showBriefly(`REC ${this.#recordMode}`)
+  }
+
+  /**
+   * Releases a held MainKey, the ERASE recording stops for its instrument
+   * @param {string} INST - Instrument of the MainKey
+   */
+  releaseMk = (INST) => {
+    this.#erasing.delete(INST)
+  }
+
+  /**
+   * Removes the hits of the instruments held in ERASE recording from the steps played,
+   * closed and open hi-hat share their track, each erases only its own hits
+   * @param {Array} patternPlayed - Pattern data
+   * @param {Array<number>} steps - Step of each track, see #advanceTracks
+   * @private
+   */
+  #eraseSteps(patternPlayed, steps) {
+    this.#erasing.forEach(INST => {
+      const track = this.#I[INST]
+      const step = steps[track]
+      const note = patternPlayed[track][step]
+      if (!note) return
+      if (INST === 'HHC' && note > 2) return
+      if (INST === 'HHO' && note < 3) return
+      patternPlayed[track][step] = 0
+      this.#stepLayers.forEach(layer => patternPlayed[layer][track][step] = 0)
+      delete patternPlayed[24][track][step]
+    })
   }
 
   /** Tracks the previously used edit key for UI state management */
@@ -2549,12 +4398,16 @@ class Engine {
     COPY_BUFFER.length = 0
     
     // Copy instrument data
-    for (let i=0; i<16; i++) {
+    for (let i=0; i<this.#maxSteps; i++) {
       COPY_BUFFER[i] = currentPattern[this.#I[this.SELECTED_INST]][i]
     }
 
-    // Copy flam data for the instrument
+    // Copy flam data and step layers for the instrument
     COPY_BUFFER.flammedINST = currentPattern[15][this.#I[this.SELECTED_INST]]
+    COPY_BUFFER.layers = this.#stepLayers.map(layer => currentPattern[layer][this.#I[this.SELECTED_INST]].slice())
+    COPY_BUFFER.trackLength = [
+      currentPattern[22][this.#I[this.SELECTED_INST]], currentPattern[23][this.#I[this.SELECTED_INST]]]
+    COPY_BUFFER.locks = this.#copyLocks(currentPattern[24][this.#I[this.SELECTED_INST]])
     // this.Log('instrumentCopied', this.#COPY_BUFFER)
   }
 
@@ -2572,7 +4425,7 @@ class Engine {
     // Copy all instrument data
     for (let instrument=0; instrument<11; instrument++) {
       COPY_BUFFER[instrument] = []
-      for (let memory=0; memory<16; memory++) {
+      for (let memory=0; memory<this.#maxSteps; memory++) {
         COPY_BUFFER[instrument][memory] = currentPattern[instrument][memory]
       }
     }
@@ -2585,6 +4438,12 @@ class Engine {
     COPY_BUFFER[15] = currentPattern[15].slice()  // Flammed instruments
     COPY_BUFFER[16] = currentPattern[16]  // First beat
     COPY_BUFFER[17] = currentPattern[17]  // Invert
+    this.#stepLayers.forEach(layer => {
+      COPY_BUFFER[layer] = currentPattern[layer].map(track => track.slice())  // Step layers
+    })
+    COPY_BUFFER[22] = currentPattern[22].slice()  // Track lengths
+    COPY_BUFFER[23] = currentPattern[23].slice()  // First steps of the tracks
+    COPY_BUFFER[24] = currentPattern[24].map(locks => this.#copyLocks(locks))  // Parameter locks
   }
 
   /**
@@ -2604,9 +4463,11 @@ class Engine {
    * Pastes patterns from the copy buffer to the queue table
    */
   #pastePatterns () {
+    this.#remember(undefined, 'SETTINGS')
     // Validate copy buffer format
     if (!Array.isArray(this.#COPY_BUFFER[0])) return
-    if (this.#COPY_BUFFER[0].length !== 4) return
+    // queue entries start with their bank, song fields may follow
+    if (typeof this.#COPY_BUFFER[0][0] !== 'string') return
 
     while (!this.TRACK_WRITE) {
       // Prevent inserting more than 120 patterns (QT's max capacity)
@@ -2620,7 +4481,7 @@ class Engine {
       
       // Update display with new data
       this.StateSetters['setLastPat'](this.#playbackQueue[this.#playbackQueue.length-1][3]+1)
-      this.StateSetters['setQueueLen'](this.#playbackQueue.length)
+      this.#updateSongDisplay()
       return 
     }
   }
@@ -2629,6 +4490,7 @@ class Engine {
    * Deletes patterns from the queue table starting at current position
    */
   #deletePatterns () {
+    this.#remember(undefined, 'SETTINGS')
     while (!this.TRACK_WRITE) {
       for (let i=this.#patternNumber; i<this.#playbackQueue.length; i++) {
         // Switch off patterns from the QueueTable
@@ -2640,7 +4502,7 @@ class Engine {
 
       // Update display with new data
       this.StateSetters['setLastPat'](this.#playbackQueue[this.#playbackQueue.length-1][3]+1)
-      this.StateSetters['setQueueLen'](this.#playbackQueue.length)
+      this.#updateSongDisplay()
       return
     }
   }
@@ -2653,18 +4515,24 @@ class Engine {
    */
   #pasteInstrument (SELECTOR_CODE, COPY_BUFFER) {
     // Validate copy buffer format for instrument data
-    if (COPY_BUFFER.length !== 16) return
+    if (COPY_BUFFER.length !== this.#maxSteps) return
     if (Array.isArray(COPY_BUFFER[0])) return
 
     let patternLocation = this.#memory[this.#getPatternMemoryLocation(SELECTOR_CODE)]
     
     // Copy instrument data to pattern
-    for (let i=0; i<16; i++) {
+    for (let i=0; i<this.#maxSteps; i++) {
       patternLocation[this.#I[this.SELECTED_INST]][i] = COPY_BUFFER[i]
     }
 
-    // Copy flam data for the instrument
+    // Copy flam data and step layers for the instrument
     patternLocation[15][this.#I[this.SELECTED_INST]] = COPY_BUFFER.flammedINST
+    this.#stepLayers.forEach((layer, i) => {
+      patternLocation[layer][this.#I[this.SELECTED_INST]] = COPY_BUFFER.layers[i].slice()
+    })
+    patternLocation[22][this.#I[this.SELECTED_INST]] = COPY_BUFFER.trackLength[0]
+    patternLocation[23][this.#I[this.SELECTED_INST]] = COPY_BUFFER.trackLength[1]
+    patternLocation[24][this.#I[this.SELECTED_INST]] = this.#copyLocks(COPY_BUFFER.locks)
   }
 
   /**
@@ -2675,8 +4543,8 @@ class Engine {
    */
   #pastePattern (SELECTOR_CODE, COPY_BUFFER) {
     // Validate copy buffer format for pattern data
-    if (COPY_BUFFER.length !== 18) return
-    if (COPY_BUFFER[0].length !== 16) return 
+    if (COPY_BUFFER.length !== this.#generateEmptyPattern().length) return
+    if (COPY_BUFFER[0].length !== this.#maxSteps) return 
 
     // this.Log('pastePattern')
 
@@ -2684,7 +4552,7 @@ class Engine {
     
     // Copy all instrument data
     for (let i=0; i<11; i++) {
-      for (let j=0; j<16; j++) {
+      for (let j=0; j<this.#maxSteps; j++) {
         patternLocation[i][j] = COPY_BUFFER[i][j]
       }
     }
@@ -2697,6 +4565,12 @@ class Engine {
     patternLocation[15] = COPY_BUFFER[15].slice()  // Flammed instruments
     patternLocation[16] = COPY_BUFFER[16]  // First beat
     patternLocation[17] = COPY_BUFFER[17]  // Invert
+    this.#stepLayers.forEach(layer => {
+      patternLocation[layer] = COPY_BUFFER[layer].map(track => track.slice())  // Step layers
+    })
+    patternLocation[22] = COPY_BUFFER[22].slice()  // Track lengths
+    patternLocation[23] = COPY_BUFFER[23].slice()  // First steps of the tracks
+    patternLocation[24] = COPY_BUFFER[24].map(locks => this.#copyLocks(locks))  // Parameter locks
   }
 
   /**
@@ -2705,6 +4579,7 @@ class Engine {
    * Has immediate effect without waiting for pattern to finish playing
    */
   #deletePattern () {
+    this.#remember(undefined, 'SETTINGS')
     while (this.#playbackQueue.length > 1) {
       let fringe = this.#patternNumber
 
@@ -2732,7 +4607,7 @@ class Engine {
         this.changePattern(this.#playbackQueue[this.#patternNumber][3], this.#playbackQueue[this.#patternNumber])
 
         // Update queue table and LED display
-        this.StateSetters['setQueueLen'](this.#playbackQueue.length)
+        this.#updateSongDisplay()
         this.StateSetters['setLastPat'](this.#playbackQueue[
           this.#playbackQueue.length-1][3]+1)
         // this.Log('playbackQueue:', this.#playbackQueue)
@@ -2771,7 +4646,8 @@ class Engine {
 
   /**
    * Saves the current session state to localStorage
-   * Stores preset data, UI preferences, and current selections
+   * Stores preset data, UI preferences, and current selections,
+   * a session over the storage quota is reported on the LED display
    */
   writeLocalStorage () {
     let localSessionToStore = stringify(
@@ -2779,7 +4655,13 @@ class Engine {
         detectUtcTimestamps: false, fullPrecisionFloats: true
     })
 
-    localStorage.setItem('session', localSessionToStore)
+    try {
+      localStorage.setItem('session', localSessionToStore)
+    } catch (err) {
+      if (err.name !== 'QuotaExceededError') throw err
+      console.error('Session not saved, storage quota exceeded:', err)
+      this.#showBriefly('STORAGE FULL')
+    }
     localStorage.setItem('law', this.lastActiveWheel)
     localStorage.setItem('currentBank', this.oldBank)
     localStorage.setItem('currentBankUserName', this.getUserBankName(this.oldBank))
@@ -2910,8 +4792,8 @@ class Engine {
       detectUtcTimestamps: false, fullPrecisionFloats: true
     })
     instSettingsClone = parse(instSettingsClone)
-    let playbackQueueClone = stringify(this.#playbackQueue)
-    playbackQueueClone = parse(playbackQueueClone)
+    // the song keeps its compact form, entries with their repeats, markers and jumps
+    let playbackQueueClone = this.#playbackQueue.map(entry => this.#compactEntry(entry))
 
     let savedPreset = [
       Array.from(this.#collectPatternsForPreset), // 0
@@ -2930,10 +4812,12 @@ class Engine {
       this.#soloBits, // 5
 
       this.#CYCLE, // 6
-      this.#quantize, // 7
-      this.PRESETS[presetSlot][
-        this.PRESETS[presetSlot].length - 1
-      ].slice(), // preset's name
+      [this.#quantize, this.#quantizeGrid, this.#quantizeStrength], // 7
+      this.PRESETS[presetSlot][8].slice(), // preset's name
+      this.#humanize.slice(), // 9
+      this.#synth, // 10
+      {...this.#userSamples}, // 11
+      this.renderSeed, // 12
     ]
     // this.Log("\ncollectPreset(): savedPreset", savedPreset, "\n")
     return savedPreset
@@ -3083,9 +4967,17 @@ class Engine {
           if (this.isBankTable && altKey || this.isBankTable && this.#altKey) {
             return this.#handleUndoOperation();
           }
+          // the edits of the pattern go back through the history
+          if (altKey || this.#altKey) {
+            return this.undo();
+          }
           return this.#handleInsertOperation();
           
         case 'DEL':
+          // ALT+DEL turns the pattern transforms ON and OFF
+          if (!this.isBankTable && (altKey || this.#altKey)) {
+            return this.#toggleTransform();
+          }
           this.#deletePattern();
           // Update LAST STEP key if queue is down to 1 item
           if (this.getPlaybackQueueLength() === 1) {
@@ -3291,7 +5183,7 @@ class Engine {
     const bank = data[0];
 
     // Validate bank data format (shallow check)
-    if (data.length !== 2 || bank.length !== 16 || bank[0].length !== 9 || typeof bank_name !== "string") {
+    if (data.length !== 2 || bank.length !== 16 || bank[0].length < 9 || typeof bank_name !== "string") {
       this.dataFormatErr("BANK", this.getUserBankName(this.#selectedBank));
       return;
     }
@@ -3348,13 +5240,16 @@ class Engine {
     }
 
     // Validate preset format (shallow check)
-    if (!(data.length <= 9 && 
+    if (!(data.length <= 13 && 
           data[0] && data[1] && data[2] && 
           data[3].length === 3 &&
           Number.isInteger(data[4]) && 
           Number.isInteger(data[5]) &&
           (typeof data[6] === 'boolean') && 
-          (typeof data[7] === 'boolean'))) {
+          this.#isQuantizeSetting(data[7]) &&
+          (data[10] === undefined || Number.isInteger(data[10])) &&
+          (data[11] === undefined || (data[11] && data[11].constructor === Object)) &&
+          (data[12] === undefined || Number.isInteger(data[12])))) {
       this.dataFormatErr("PRESET", this.PRESETS[location][8]);
       return;
     }
@@ -3373,6 +5268,20 @@ class Engine {
     this.PRESETS_RECALL[location] = data.slice();
   }
 
+  /**
+   * Checks the quantize slot of a preset: [on, grid, strength],
+   * older presets save true for the 8th note quantization and false when it is off
+   * @param {*} setting - Slot 7 of the preset
+   * @returns {boolean} True if the preset can load it
+   * @private
+   */
+  #isQuantizeSetting(setting) {
+    if (typeof setting === 'boolean') return true
+    return Array.isArray(setting) && setting.length === 3 && typeof setting[0] === 'boolean' &&
+      Number.isInteger(setting[1]) && setting[1] >= 0 && setting[1] < this.#quantizeGrids.length &&
+      this.#quantizeStrengths.includes(setting[2])
+  }
+
   /**
    * Resets the main display messages to their default values
    * 
@@ -3440,6 +5349,17 @@ class Engine {
         case 'SHUFF /FLAM':
         case 'TOTAL ACCENT':
         case 'INST SELECT':
+        case 'VELOCITY':
+        case 'RATCHET':
+        case 'NUDGE':
+        case 'CONDITION':
+        case 'TRACK LENGTH':
+        case 'LOCK':
+        case 'EUCLID':
+        case 'HUMANIZE':
+        case 'COUNT IN':
+        case 'TRANSFORM':
+        case 'INSERT FX':
           break
         default: 
           this.setLCV('DISABLED TILL INSERT')
@@ -3484,36 +5404,181 @@ class Engine {
       count++;
     }
 
-    // If current bank is affected, update working memory
-    if (this.currentBank === this.oldBank) {
-      this.#setMemory(this.#undoBankBuffer[1][count - 16 + Number(this.currentPreset.slice(3))]);
+    // If current bank is affected, update working memory
+    if (this.currentBank === this.oldBank) {
+      this.#setMemory(this.#undoBankBuffer[1][count - 16 + Number(this.currentPreset.slice(3))]);
+    }
+
+    // Clear undo buffer and update UI
+    this.#undoBankBuffer[0] = undefined;
+    this.StateSetters['BankTABLEreload'](state => !state);
+    this.#switchEditKeysLights('INS/UNDO', true);
+  }
+
+  /**
+   * Undoes a preset operation
+   * @private
+   */
+  #undoPreset() {
+    // Restore preset from undo buffer
+    this.PRESETS[this.#undoPresetBuffer[0]] = this.#undoPresetBuffer[1];
+
+    // Update UI
+    this.StateSetters['BankTABLEreload'](state => !state);
+
+    // Update working memory if current preset was restored
+    if (this.#undoPresetBuffer[0] === this.presetSlotByBank()) {
+      this.#setMemory(this.#undoPresetBuffer[1], false);
+    }
+
+    // Clear undo buffer and update UI
+    this.#undoPresetBuffer[0] = undefined;
+    this.#switchEditKeysLights('INS/UNDO', true);
+  }
+
+  /**
+   * History of the edits, entries hold what an edit changes as it was before the edit:
+   * {slot, scope, state, samples, key, time}, slot - preset slot, scope - what the edit changes (see #remember),
+   * state - the stringified pattern or preset, samples - ids of the user samples of the preset,
+   * key - name of the edits coalesced into the entry,
+   * time - time of the last of them
+   */
+  #history = []
+
+  /** Entries undone, redo brings them back */
+  #redoHistory = []
+
+  /** Maximum number of entries in the history */
+  #historySize = 64
+
+  /** Edits with the same key coalesce into one entry when they follow within this time (ms) */
+  #coalesceTime = 1000
+
+  /** Options of the stringified history entries, undo brings back the shuffle and flam as they were */
+  #historyFormat = {detectUtcTimestamps: false, fullPrecisionFloats: true}
+
+  /**
+   * Gives the scope of the edits of the selected pattern, see #remember
+   * @returns {number} Memory location of the pattern
+   * @private
+   */
+  #patternScope() {
+    return this.#getPatternMemoryLocation(this.SELECTOR_CODE)
+  }
+
+  /**
+   * Gives the history entry of a preset as it is now
+   * @param {number} [slot] - Preset slot, the preset played when missing
+   * @param {number|string} [scope] - What the entry keeps, see #remember
+   * @returns {Object} {slot, scope, state, samples}
+   * @private
+   */
+  #historyEntry(slot=this.presetSlotByBank(this.oldBank), scope=undefined) {
+    const isPlayed = slot === this.presetSlotByBank(this.oldBank)
+    if (Number.isInteger(scope)) {
+      // the patterns of a preset keep the ones that are not empty only
+      const saved = !isPlayed && this.PRESETS[slot][0].find(([location]) => location === scope)
+      const pattern = isPlayed ? this.#memory[scope] : saved ? saved[1] : this.#generateEmptyPattern()
+      return {slot: slot, scope: scope, state: stringify([[scope, pattern]], this.#historyFormat), samples: []}
+    }
+    const preset = isPlayed ? this.#collectPreset(this.oldBank) : this.PRESETS[slot]
+    return {slot: slot, scope: scope, 
+      state: stringify(scope === 'SETTINGS' ? preset.slice(1) : preset, this.#historyFormat),
+      samples: this.#sampleIds(preset)}
+  }
+
+  /**
+   * Remembers the preset played before an edit, edits that change nothing leave no entry.
+   * The edits with a key (knob drags, TAP recording, batch clears) coalesce into one entry.
+   * The entry keeps what the edit changes only, the pattern edited or the preset without its patterns,
+   * the edits playing live stay light.
+   * @param {string} [key] - Name of the edit
+   * @param {number|string} [scope] - Memory location of the pattern edited (see #patternScope),
+   * 'SETTINGS' for the edits that leave the patterns as they are, the whole preset when missing
+   * @private
+   */
+  #remember(key=undefined, scope=undefined) {
+    const now = Date.now()
+    const slot = this.presetSlotByBank(this.oldBank)
+    const last = this.#history[this.#history.length-1]
+    if (key && last && last.key === key && last.slot === slot && 
+      (last.scope === scope || last.scope === undefined) && now - last.time < this.#coalesceTime) {
+      last.time = now
+      return
+    }
+
+    const entry = this.#historyEntry(slot, scope)
+    if (last && last.slot === entry.slot && last.scope === entry.scope && last.state === entry.state) {
+      last.key = key
+      last.time = now
+      return
     }
 
-    // Clear undo buffer and update UI
-    this.#undoBankBuffer[0] = undefined;
-    this.StateSetters['BankTABLEreload'](state => !state);
-    this.#switchEditKeysLights('INS/UNDO', true);
+    entry.key = key
+    entry.time = now
+    this.#history.push(entry)
+    if (this.#history.length > this.#historySize) this.#history.shift()
+    this.#redoHistory.length = 0
   }
 
   /**
-   * Undoes a preset operation
-   * @private
+   * Undoes the last edit
    */
-  #undoPreset() {
-    // Restore preset from undo buffer
-    this.PRESETS[this.#undoPresetBuffer[0]] = this.#undoPresetBuffer[1];
+  undo = () => {
+    this.#stepHistory(this.#history, this.#redoHistory, 'UNDO')
+  }
 
-    // Update UI
-    this.StateSetters['BankTABLEreload'](state => !state);
+  /**
+   * Redoes the last edit undone
+   */
+  redo = () => {
+    this.#stepHistory(this.#redoHistory, this.#history, 'REDO')
+  }
 
-    // Update working memory if current preset was restored
-    if (this.#undoPresetBuffer[0] === this.presetSlotByBank()) {
-      this.#setMemory(this.#undoPresetBuffer[1], false);
+  /**
+   * Restores the last entry of a history, what it keeps as it is now goes into the other one.
+   * Entries of the presets not played restore them in the bank.
+   * @param {Array} from - History the entry comes from
+   * @param {Array} to - History the preset as it is goes to
+   * @param {string} name - Name shown on the LED display
+   * @private
+   */
+  #stepHistory(from, to, name) {
+    let entry = from.pop()
+    let current = entry && this.#historyEntry(entry.slot, entry.scope)
+    // entries remembered before the edits that changed nothing
+    while (entry && entry.state === current.state) {
+      entry = from.pop()
+      current = entry && this.#historyEntry(entry.slot, entry.scope)
+    }
+    if (!entry) {
+      this.#showBriefly(`${name} EMPTY`)
+      return
     }
 
-    // Clear undo buffer and update UI
-    this.#undoPresetBuffer[0] = undefined;
-    this.#switchEditKeysLights('INS/UNDO', true);
+    to.push(current)
+    const data = parse(entry.state)
+    if (entry.slot === this.presetSlotByBank(this.oldBank)) {
+      // the selected pattern stays
+      const selectorCode = this.SELECTOR_CODE.slice()
+      const patternNumber = this.#patternNumber
+      if (Number.isInteger(entry.scope)) {
+        this.#loadPatternData(data)
+      } else {
+        this.#setMemory(entry.scope === 'SETTINGS' ? [this.#collectPreset(this.oldBank)[0], ...data] : data, false)
+        this.#playbackQueue[patternNumber] && this.switchQTSlot(patternNumber)
+      }
+      this.changePattern(selectorCode[3], selectorCode)
+      this.updatePatternAndInstSTEP()
+      this.setMksState()
+    } else {
+      const preset = this.PRESETS[entry.slot]
+      this.PRESETS[entry.slot] = Number.isInteger(entry.scope) ?
+        [preset[0].filter(([location]) => location !== entry.scope).concat(data), ...preset.slice(1)] :
+        entry.scope === 'SETTINGS' ? [preset[0], ...data] : data
+      this.StateSetters['BankTABLEreload'](state => !state)
+    }
+    this.#showBriefly(`${name} ${from.length} LEFT`)
   }
 
   /**
@@ -3648,6 +5713,7 @@ class Engine {
    * @private
    */
   #insertPatterns() {
+    this.#remember()
     // Deactivate copy mode
     this.#COPY_TO = false;
     this.#switchEditKeysLights('COPY', true);
@@ -3957,7 +6023,7 @@ class Engine {
     if (isPreset) {
       if (this.currentBank.slice(0, 1) !== 'F') {
 
-        this.PRESETS[slotAddress][this.PRESETS[slotAddress].length-1] = newPresetOrBankName.slice()
+        this.PRESETS[slotAddress][8] = newPresetOrBankName.slice()
         this.StateSetters['sbPreset'](this.#playedPresetName())
         updatePresetSlot(state => state += 1)
       }
@@ -4009,8 +6075,24 @@ class Engine {
       beatPlace = this.firstBeat 
     }
   
-    this.StateSetters['setBeatLightX'](88 + beatPlace * 79)
+    this.#moveBeatLight(beatPlace)
+
+  }
 
+  /**
+   * Places the beat light over the MainKey of the step.
+   * The MainKey(s) follow the page of the step unless the track is written in STEP mode,
+   * then the light is shown only when the step sits on the selected page.
+   * @param {number} beatPlace - Step of the pattern
+   * @private
+   */
+  #moveBeatLight (beatPlace) {
+    const page = Math.floor(beatPlace / 16)
+    if (page !== this.#page && (!this.TRACK_WRITE || this.GLOBAL_MODE === 'TAP')) {
+      this.changePage(page)
+    }
+    this.StateSetters['setBeatLightVisible'](page === this.#page)
+    this.StateSetters['setBeatLightX'](88 + (beatPlace % 16) * 79)
   }
   
   /**
@@ -4039,7 +6121,7 @@ class Engine {
       beatPlace = this.firstBeat
     }
   
-    this.StateSetters['setBeatLightX'](88 + beatPlace * 79)
+    this.#moveBeatLight(beatPlace)
     // this.Log(`  beatPlace: ${beatPlace}`)
   }
 
@@ -4102,6 +6184,273 @@ class Engine {
     return this.#playbackQueue[patternAddress]
   }
 
+  /**
+   * Repeats written by the first 8 MainKey(s) into the selected song entry (with ALT).
+   * MainKey(s) 9 to 16 set the jump of the entry to the sections A to H.
+   */
+  #songRepeats = [1, 2, 3, 4, 6, 8, 12, 16]
+
+  /**
+   * Gives the number of times a queue entry plays in a row.
+   * Song entries are SELECTOR_CODE arrays followed by optional song fields:
+   * [4] - repeats (1 when missing), [5] - section marker (1 when set),
+   * [6] - section (0 = A) the song jumps to after the entry, once per pass,
+   * [7] - BPM the entry starts with, [8] - BPM the entry ramps to over all its passes
+   * @param {Array} entry - Entry of the playback queue
+   * @returns {number} The repeats
+   * @private
+   */
+  #repeatsOf(entry) {
+    return entry[4] || 1
+  }
+
+  /**
+   * Gives the queue entry a section starts with, sections are lettered in the queue order
+   * @param {number} section - Section index (0 = A)
+   * @returns {number|undefined} Index in the queue, undefined for a missing section
+   * @private
+   */
+  #sectionEntry(section) {
+    let marker = 0
+    for (let i = 0; i < this.#playbackQueue.length; i++) {
+      if (!this.#playbackQueue[i][5]) continue
+      if (marker++ === section) return i
+    }
+    return undefined
+  }
+
+  /**
+   * Gives the section letter of a marked queue entry
+   * @param {number} patternAddress - Index in the queue
+   * @returns {string} The letter, empty for an entry without a marker
+   */
+  getSectionName = (patternAddress) => {
+    if (!this.#playbackQueue[patternAddress]?.[5]) return ''
+    const section = this.#playbackQueue.slice(0, patternAddress).filter(entry => entry[5]).length
+    return String.fromCharCode(65 + section)
+  }
+
+  /**
+   * Gives the song fields of a queue entry for the queue table
+   * @param {number} patternAddress - Index in the queue
+   * @returns {string} Repeats and jump, e.g. 'x4>B', empty for an entry played once
+   */
+  getSongFields = (patternAddress) => {
+    const entry = this.#playbackQueue[patternAddress]
+    if (!entry) return ''
+    const repeats = this.#repeatsOf(entry)
+    return (repeats > 1 ? 'x' + repeats : '') +
+      (entry[6] >= 0 ? '>' + String.fromCharCode(65 + entry[6]) : '')
+  }
+
+  /**
+   * Gives the tempo of a song entry for the queue table
+   * @param {number} patternAddress - Index in the queue
+   * @returns {string} BPM and ramp, e.g. '140~160', empty for an entry without its own tempo
+   */
+  getSongTempo = (patternAddress) => {
+    const entry = this.#playbackQueue[patternAddress]
+    if (!entry) return ''
+    return (entry[7] || '') + (entry[8] ? '~' + entry[8] : '')
+  }
+
+  /**
+   * Gives the name of a song entry shown on the LED display
+   * @param {number} patternAddress - Index in the queue
+   * @returns {string} The name
+   * @private
+   */
+  #songEntryName(patternAddress) {
+    const fields = this.getSongFields(patternAddress)
+    const tempo = this.getSongTempo(patternAddress)
+    return `SONG ${this.getSectionName(patternAddress)}${patternAddress+1} ${fields || 'x1'}${tempo ? ' ' + tempo : ''}`
+  }
+
+  /**
+   * Toggles the section marker of a queue entry
+   * @param {number} patternAddress - Index in the queue
+   */
+  toggleSectionMarker = (patternAddress) => {
+    const entry = this.#playbackQueue[patternAddress]
+    if (!entry) return
+    entry[5] = entry[5] ? 0 : 1
+    // the letters of the following sections move
+    for (let i = patternAddress; i < this.#playbackQueue.length; i++) {
+      this.StateSetters['QT'+i](state => !state)
+    }
+    this.setLCV(this.#songEntryName(patternAddress))
+    this.#updateSongDisplay()
+  }
+
+  /**
+   * Writes the repeats (first 8 MainKey(s)) or the jump (MainKey(s) 9 to 16)
+   * of the selected song entry, the same jump again removes it
+   * @param {number} elementId - MainKey ID (0-15)
+   * @private
+   */
+  #writeSongEntry(elementId) {
+    this.#remember(undefined, 'SETTINGS')
+    const entry = this.#playbackQueue[this.#patternNumber]
+    if (elementId < 8) {
+      entry[4] = this.#songRepeats[elementId]
+    } else {
+      entry[6] = entry[6] === elementId - 8 ? undefined : elementId - 8
+    }
+    this.StateSetters['QT'+this.#patternNumber](state => !state)
+    this.setLCV(this.#songEntryName(this.#patternNumber))
+    this.#updateSongDisplay()
+  }
+
+  /**
+   * Writes the tempo of the selected song entry in TEMPO mode,
+   * MainKey 1 - the BPM of the tempo wheel the entry starts with,
+   * MainKey 2 - the BPM of the tempo wheel the entry ramps to,
+   * the same BPM again removes it
+   * @param {number} elementId - MainKey ID (0-15)
+   * @private
+   */
+  #writeSongTempo(elementId) {
+    if (elementId > 1) return
+    this.#remember(undefined, 'SETTINGS')
+    const entry = this.#playbackQueue[this.#patternNumber]
+    const field = elementId === 0 ? 7 : 8
+    entry[field] = entry[field] === this.#giveTempo() ? 0 : this.#giveTempo()
+    this.StateSetters['QT'+this.#patternNumber](state => !state)
+    this.setLCV(this.#songEntryName(this.#patternNumber))
+  }
+
+  /**
+   * Gives a song entry in its compact form, the song fields are saved only up to the last one set
+   * @param {Array} entry - Entry of the playback queue
+   * @returns {Array} The compact entry
+   * @private
+   */
+  #compactEntry(entry) {
+    const fields = [this.#repeatsOf(entry), entry[5] || 0, entry[6] >= 0 ? entry[6] : -1, entry[7] || 0, entry[8] || 0]
+    const defaults = [1, 0, -1, 0, 0]
+    let last = fields.length
+    while (last > 0 && fields[last-1] === defaults[last-1]) last--
+    return entry.slice(0, 4).concat(fields.slice(0, last))
+  }
+
+  /**
+   * Gives the tempo the song carries into the next entry,
+   * entries without their own tempo play the tempo carried into them
+   * @param {Array} entry - Entry of the playback queue that ends
+   * @param {number} carried - BPM carried into the entry, undefined for the tempo wheel
+   * @returns {number} The BPM, undefined for the tempo wheel
+   * @private
+   */
+  #carryTempo(entry, carried) {
+    return entry[8] || entry[7] || carried
+  }
+
+  /**
+   * Gives the tempo of a step of a song entry, ramps are linear over the steps of all the passes
+   * @param {Array} entry - Entry of the playback queue
+   * @param {number} repeat - Pass of the entry, 0 is the first one
+   * @param {number} beatNumber - Step of the pattern
+   * @param {number} carried - BPM carried into the entry, undefined for the tempo wheel
+   * @param {Array} pattern - Pattern of the entry
+   * @param {number} [progress=0] - Part of the step played (0-1), 1 gives the tempo the step ends with
+   * @returns {number} The BPM
+   * @private
+   */
+  #tempoAt(entry, repeat, beatNumber, carried, pattern, progress = 0) {
+    const from = entry[7] || carried || this.#giveTempo()
+    if (!entry[8]) return from
+    const steps = pattern[12] - pattern[16]
+    const step = !pattern[17] ? beatNumber - pattern[16] : pattern[12]-1 - beatNumber
+    return from + (entry[8] - from) * (repeat * steps + step + progress) / (this.#repeatsOf(entry) * steps)
+  }
+
+  /**
+   * Gives the duration of a step of a song entry before the shuffle. The tempo of a ramp
+   * moves on during the step, the duration is the integral of 60 / (tempo * grid) over it
+   * @param {Array} entry - Entry of the playback queue
+   * @param {number} repeat - Pass of the entry, 0 is the first one
+   * @param {number} beatNumber - Step of the pattern
+   * @param {number} carried - BPM carried into the entry, undefined for the tempo wheel
+   * @param {Array} pattern - Pattern of the entry
+   * @param {number} grid - Steps per beat
+   * @returns {number} Duration of the step in seconds
+   * @private
+   */
+  #rampedStep(entry, repeat, beatNumber, carried, pattern, grid) {
+    const start = this.#tempoAt(entry, repeat, beatNumber, carried, pattern)
+    const end = this.#tempoAt(entry, repeat, beatNumber, carried, pattern, 1)
+    return start === end ?
+      60 / (start * grid) :
+      60 / grid * Math.log(end / start) / (end - start)
+  }
+
+  /**
+   * Gives the song position that follows a pass of a queue entry: the entry repeats,
+   * then the song follows the jump of the entry (once per pass of the song) or the next entry
+   * @param {number} entry - Index in the queue
+   * @param {number} repeat - Passes of the entry played before, 0 is the first one
+   * @param {Set<number>} jumped - Entries whose jump was followed, updated here
+   * @returns {Object} {entry, repeat, wrapped}, wrapped is true when the song starts over
+   * @private
+   */
+  #advanceSong(entry, repeat, jumped) {
+    if (repeat + 1 < this.#repeatsOf(this.#playbackQueue[entry])) {
+      return {entry: entry, repeat: repeat + 1, wrapped: false}
+    }
+    const section = this.#sectionEntry(this.#playbackQueue[entry][6])
+    if (section !== undefined && !jumped.has(entry)) {
+      jumped.add(entry)
+      return {entry: section, repeat: 0, wrapped: false}
+    }
+    const next = (entry + 1) % this.#playbackQueue.length
+    if (next === 0) jumped.clear()
+    return {entry: next, repeat: 0, wrapped: next === 0}
+  }
+
+  /**
+   * Gives the passes of the queue entries a pass of the song plays, in order
+   * @returns {Array<Object>} {entry, repeat, carried}, entry - index in the queue,
+   * repeat - pass of the entry, carried - BPM carried into the entry (see #carryTempo)
+   * @private
+   */
+  #songOrder() {
+    const order = [{entry: 0, repeat: 0, carried: undefined}]
+    const jumped = new Set()
+    let carried = undefined
+    let next = this.#advanceSong(0, 0, jumped)
+    while (!next.wrapped) {
+      if (next.repeat === 0) {
+        carried = this.#carryTempo(this.#playbackQueue[order[order.length-1].entry], carried)
+      }
+      order.push({entry: next.entry, repeat: next.repeat, carried: carried})
+      next = this.#advanceSong(next.entry, next.repeat, jumped)
+    }
+    return order
+  }
+
+  /**
+   * Tells if the pattern playing is the last one of the song
+   * @returns {boolean}
+   * @private
+   */
+  #isSongEnd() {
+    return this.#cuedEntry === undefined && 
+      this.#advanceSong(this.#patternNumber, this.#repeat, new Set(this.#jumped)).wrapped
+  }
+
+  /**
+   * Shows the number of patterns a pass of the song plays,
+   * and the selected entry with its pass when it repeats
+   * @private
+   */
+  #updateSongDisplay() {
+    const entry = this.#playbackQueue[this.#patternNumber]
+    const repeats = entry ? this.#repeatsOf(entry) : 1
+    this.StateSetters['setQueueLen'](this.#songOrder().length)
+    this.StateSetters['setSelectedQTSlot'](
+      (this.#patternNumber + 1) + (repeats > 1 ? `(${this.#repeat + 1}/${repeats})` : ''))
+  }
+
   /**
    * Audio context for sound playback
    * @type {AudioContext}
@@ -4168,12 +6517,27 @@ class Engine {
    */
   #patternNumber = 0
   
+  /** Passes of the current queue entry played before, see #advanceSong */
+  #repeat = 0
+
+  /** Queue entries whose jump was followed in this pass of the song */
+  #jumped = new Set()
+
+  /** Queue entry cued to play after the current pattern, undefined when none */
+  #cuedEntry = undefined
+
+  /** BPM carried into the current queue entry, undefined for the tempo wheel */
+  #carriedTempo = undefined
+
+  /** BPM of the last step scheduled, undefined when stopped */
+  #songTempo = undefined
+
   /**
-   * Sets the current pattern number in the queue
-   * @param {number} newPatternNumber - New index to use
+   * Cues a queue entry to play after the current pattern
+   * @param {number} patternAddress - Index in the queue
    */
-  setPatternNumber = (newPatternNumber) => {
-    this.#patternNumber = newPatternNumber
+  cueEntry = (patternAddress) => {
+    this.#cuedEntry = patternAddress
   }
 
   /**
@@ -4213,6 +6577,15 @@ class Engine {
    * @private
    */
   #pulseHz = 880*3
+
+  /** Frequencies the click can be set to, see #writeCountIn */
+  #pulseHzs = [440, 660, 880, 1320, 1760, 880*3, 3520, 5280]
+
+  /** Level of the click in % */
+  #clickLevel = 100
+
+  /** Levels the click can be set to */
+  #clickLevels = [25, 50, 75, 100]
   
   /**
    * Duration of the metronome click sound
@@ -4222,14 +6595,16 @@ class Engine {
   #pulseTime = 1/44
   
   /**
-   * Plays a metronome click sound at the specified time
+   * Plays a metronome click sound at the specified time,
+   * the downbeat clicks an octave higher and louder
    * 
    * @param {number} time - Time to schedule the click sound
+   * @param {boolean} [downbeat=false] - True for the first beat of a bar
    * @private
    */
-  #playClick(time) {
+  #playClick(time, downbeat=false) {
     const osc = new OscillatorNode(this.#audioCtx, {
-      type: 'square', frequency: this.#pulseHz
+      type: 'square', frequency: downbeat ? this.#pulseHz*2 : this.#pulseHz
     })
 
     // envelope
@@ -4237,7 +6612,8 @@ class Engine {
     gain.gain.cancelScheduledValues(time)
 
     // ADSR attack 
-    gain.gain.setValueAtTime(this.#master_gain*0.1, time)
+    const level = this.instSettings['volume_wheel'][0]/100.0 * 0.1 * this.#clickLevel/100
+    gain.gain.setValueAtTime(downbeat ? level*1.5 : level, time)
 
     osc.connect(gain).connect(this.#audioCtx.destination);
     osc.start(time);
@@ -4251,7 +6627,7 @@ class Engine {
    * @param {number} accent - Accent level (0-2)
    * @param {number} total_accent - Total accent value from pattern
    * @param {AudioContext} audioCtx - Audio context
-   * @param {ChannelMergerNode} merger - Channel merger for output
+   * @param {GainNode} merger - Stereo bus for output
    * @private
    */
   #playCrash(time, accent, total_accent, audioCtx, merger) {
@@ -4259,24 +6635,25 @@ class Engine {
       accent = 0.6
     } else if (accent===2) accent = 0.8
 
-    let soundBuffer = this.#SoundData['CSHD0']
+    let soundBuffer = this.#userSound('CR') || this.#sample('CSHD0')
 
     const soundSource = new AudioBufferSourceNode(audioCtx, {
       buffer: soundBuffer,
       playbackRate: 1,
     })
 
-    soundSource.detune.value = this.instSettings['CRtun'][0]*12
+    soundSource.detune.value = this.#knob('CRtun')*12
+    const Choke = this.#chokeVoice('CR', time, [soundSource], audioCtx)
 
     // level knob
     let Level = audioCtx.createGain()
     Level.gain.value = 
       // we keep 0.2 for TOTAL ACCENT
-      ((accent ) * 0.8 + total_accent*this.instSettings['AC'][0]/1000)
-        * this.instSettings['CRlev'][0]/100 * this.#master_gain
+      ((accent ) * 0.8 + total_accent*this.#knob('AC')/1000)
+        * this.#knob('CRlev')/100 * this.#master_gain
 
-    soundSource.connect(Level)
-    .connect(merger, 0, 0)
+    soundSource.connect(Choke).connect(Level)
+    .connect(this.#insertFX('CR', audioCtx, merger))
     this.#cummulativeGain += Level.gain.value
     soundSource.start(time);
     // return soundSource;
@@ -4289,7 +6666,7 @@ class Engine {
    * @param {number} accent - Accent level (0-2)
    * @param {number} total_accent - Total accent value from pattern
    * @param {AudioContext} audioCtx - Audio context
-   * @param {ChannelMergerNode} merger - Channel merger for output
+   * @param {GainNode} merger - Stereo bus for output
    * @private
    */
   #playRide(time, accent, total_accent, audioCtx, merger) {
@@ -4297,24 +6674,25 @@ class Engine {
       accent = 0.6
     } else if (accent===2) accent = 0.8
 
-    let soundBuffer = this.#SoundData['RIDED0']
+    let soundBuffer = this.#userSound('RD') || this.#sample('RIDED0')
 
     const soundSource = new AudioBufferSourceNode(audioCtx, {
       buffer: soundBuffer,
       playbackRate: 1,
     })
 
-    soundSource.detune.value = this.instSettings['RDtun'][0]*12.5
+    soundSource.detune.value = this.#knob('RDtun')*12.5
+    const Choke = this.#chokeVoice('RD', time, [soundSource], audioCtx)
 
     // level knob
     let Level = audioCtx.createGain()
     Level.gain.value = 
       // we keep 0.2 for TOTAL ACCENT
-      ((accent ) * 0.8 + total_accent*this.instSettings['AC'][0]/1000)
-        * this.instSettings['RDlev'][0]/100 * this.#master_gain
+      ((accent ) * 0.8 + total_accent*this.#knob('AC')/1000)
+        * this.#knob('RDlev')/100 * this.#master_gain
 
-    soundSource.connect(Level)
-    .connect(merger, 0, 0)
+    soundSource.connect(Choke).connect(Level)
+    .connect(this.#insertFX('RD', audioCtx, merger))
     this.#cummulativeGain += Level.gain.value
     soundSource.start(time);
     // return soundSource;
@@ -4324,31 +6702,18 @@ class Engine {
    * Gets the appropriate hi-hat sound based on decay setting
    * 
    * @param {string} name_ - Hi-hat type ('C' for closed, 'O' for open)
-   * @returns {Array} Array containing [AudioBuffer, name_]
+   * @returns {Array} Array containing [sounds, name_], sounds as in #sounds
    * @private
    */
   #getHatSound(name_) {
-    let hatDecay = name_+'Hdec'
-    let returnString = 'HH'+name_
-    if (this.instSettings[hatDecay][0] === 0) {
-      returnString += 'D0'
-    } else if (this.instSettings[hatDecay][0] <= 20) {
-      returnString += 'D2'
-    } else if (this.instSettings[hatDecay][0] <= 40) {
-      returnString += 'D4'
-    } else if (this.instSettings[hatDecay][0] <= 60) {
-      returnString += 'D6'
-    } else if (this.instSettings[hatDecay][0] <= 80) {
-      returnString += 'D8'
-    } else {
-      returnString += 'DA'
-    }
+    const decays = {0: 'D0', 20: 'D2', 40: 'D4', 60: 'D6', 80: 'D8', 100: 'DA'}
+    const userSound = this.#userSound('HH'+name_)
 
     /**
      * This function also returns a name_ parameter defining 
      * which hat exactly we are currently playing, closed or open.
      */
-    return [this.#SoundData[returnString], name_]
+    return [userSound ? [[userSound, 1]] : this.#sounds('HH'+name_, [this.#knob(name_+'Hdec'), decays]), name_]
   }
 
   /**
@@ -4360,7 +6725,7 @@ class Engine {
    * @param {Array} [audioBuffer=undefined] - Optional pre-selected audio buffer
    * @param {number} [elementId=undefined] - Element ID to determine hat type
    * @param {AudioContext} audioCtx - Audio context
-   * @param {ChannelMergerNode} merger - Channel merger for output
+   * @param {GainNode} merger - Stereo bus for output
    * @private
    */
   #playHats(time, accent, total_accent, audioBuffer=undefined, elementId=undefined, audioCtx, merger) {
@@ -4379,12 +6744,13 @@ class Engine {
       audioBuffer = audioBuffer_
     }
 
-    let decayTime = this.instSettings[audioBuffer[1]+'Hdec'][0]/100
+    let decayTime = this.#knob(audioBuffer[1]+'Hdec')/100
 
-    const soundSource = new AudioBufferSourceNode(audioCtx, {
-      buffer: audioBuffer[0],
+    const [sources, Mix] = this.#blendSources(audioCtx, audioBuffer[0], {
       playbackRate: 1,
     })
+    // the open hat rings until the next hat
+    const Choke = this.#chokeVoice('HH', time, sources, audioCtx)
 
     // envelope
     const Env = new GainNode(audioCtx)
@@ -4396,13 +6762,13 @@ class Engine {
     let Level = audioCtx.createGain()
     Level.gain.value = 
       // we keep 0.2 for TOTAL ACCENT
-      ((accent ) * 0.8 + total_accent*this.instSettings['AC'][0]/1000)
-        * this.instSettings['HHlev'][0]/100 * this.#master_gain
+      ((accent ) * 0.8 + total_accent*this.#knob('AC')/1000)
+        * this.#knob('HHlev')/100 * this.#master_gain
 
-    soundSource.connect(Env).connect(Level)
-    .connect(merger, 0, 0)
+    Mix.connect(Choke).connect(Env).connect(Level)
+    .connect(this.#insertFX('HH', audioCtx, merger))
     this.#cummulativeGain += Level.gain.value
-    soundSource.start(time);
+    sources.forEach(source => source.start(time));
     // return soundSource;
   }
 
@@ -4413,11 +6779,13 @@ class Engine {
    * @param {number} accent - Accent level (0-2)
    * @param {number} total_accent - Total accent value from pattern
    * @param {AudioContext} audioCtx - Audio context
-   * @param {ChannelMergerNode} merger - Channel merger for output
+   * @param {GainNode} merger - Stereo bus for output
    * @private
    */
   #playHClap(time, accent, total_accent, audioCtx, merger) {
-    let audioBuffer = accent===1?this.#SoundData['HANDCLP1']:this.#SoundData['HANDCLP2']
+    // velocities quieter than the accent play the regular sample
+    let audioBuffer = accent===1||accent<0.7?this.#sample('HANDCLP1'):this.#sample('HANDCLP2')
+    audioBuffer = this.#userSound('HC') || audioBuffer
 
     if (accent===1) {
       accent = 0.6
@@ -4432,11 +6800,11 @@ class Engine {
     let Level = audioCtx.createGain()
     Level.gain.value = 
       // we keep 0.2 for TOTAL ACCENT
-      ((accent ) * 0.8 + total_accent*this.instSettings['AC'][0]/1000)
-        * this.instSettings['HClev'][0]/100 * this.#master_gain
+      ((accent ) * 0.8 + total_accent*this.#knob('AC')/1000)
+        * this.#knob('HClev')/100 * this.#master_gain
 
     soundSource.connect(Level)
-    .connect(merger, 0, 0)
+    .connect(this.#insertFX('HC', audioCtx, merger))
     this.#cummulativeGain += Level.gain.value
     soundSource.start(time);
     // return soundSource;
@@ -4449,11 +6817,13 @@ class Engine {
    * @param {number} accent - Accent level (0-2)
    * @param {number} total_accent - Total accent value from pattern
    * @param {AudioContext} audioCtx - Audio context
-   * @param {ChannelMergerNode} merger - Channel merger for output
+   * @param {GainNode} merger - Stereo bus for output
    * @private
    */
   #playRim(time, accent, total_accent, audioCtx, merger) {
-    let audioBuffer = accent===1?this.#SoundData['RIM63']:this.#SoundData['RIM127']
+    // velocities quieter than the accent play the regular sample
+    let audioBuffer = accent===1||accent<0.7?this.#sample('RIM63'):this.#sample('RIM127')
+    audioBuffer = this.#userSound('RS') || audioBuffer
     if (accent===1) {
       accent = 0.6
     } else if (accent===2) accent = 0.8
@@ -4467,11 +6837,11 @@ class Engine {
     let Level = audioCtx.createGain()
     Level.gain.value = 
       // we keep 0.2 for TOTAL ACCENT
-      ((accent ) * 0.8 + total_accent*this.instSettings['AC'][0]/1000)
-        * this.instSettings['RSlev'][0]/100 * this.#master_gain
+      ((accent ) * 0.8 + total_accent*this.#knob('AC')/1000)
+        * this.#knob('RSlev')/100 * this.#master_gain
 
     soundSource.connect(Level)
-    .connect(merger, 0, 0)
+    .connect(this.#insertFX('RS', audioCtx, merger))
     this.#cummulativeGain += Level.gain.value
     soundSource.start(time);
     // return soundSource;
@@ -4486,7 +6856,7 @@ class Engine {
    * @param {number} accent - Accent level (0-2)
    * @param {number} total_accent - Total accent value from pattern
    * @param {AudioContext} audioCtx - Audio context
-   * @param {ChannelMergerNode} merger - Channel merger for output
+   * @param {GainNode} merger - Stereo bus for output
    * @private
    */
   #playTom(name_, time, accent, total_accent, audioCtx, merger) {
@@ -4495,31 +6865,36 @@ class Engine {
       accent = 0.6
     } else if (accent===2) accent = 0.8
 
+    if (this.#isSynth(this.#I[name_+'T'])) {
+      this.#synthTom(name_, time, accent, total_accent, audioCtx, merger)
+      return
+    }
+
     // Get decay time from instrument settings
-    let decayTime = this.instSettings[name_+'Tdec'][0]/100
+    let decayTime = this.#knob(name_+'Tdec')/100
 
     /**
      * Calculate tuning value based on instrument settings
      * @returns {number} Detune value in cents
      */
     let tune = () => {
-      if (this.instSettings[name_+'Ttun'][0] === 0 ||
-        this.instSettings[name_+'Ttun'][0] === 100
+      if (this.#knob(name_+'Ttun') === 0 ||
+        this.#knob(name_+'Ttun') === 100
       ) { 
         return 0 
-      } else if (this.instSettings[name_+'Ttun'][0] <= 30) {
-        return -300 + this.instSettings[name_+'Ttun'][0]*10
-      } else if (this.instSettings[name_+'Ttun'][0] <= 70) {
-        return -700 + this.instSettings[name_+'Ttun'][0]*10
-      } else if (this.instSettings[name_+'Ttun'][0] <= 99) {
-        return -990 + this.instSettings[name_+'Ttun'][0]*10
+      } else if (this.#knob(name_+'Ttun') <= 30) {
+        return -300 + this.#knob(name_+'Ttun')*10
+      } else if (this.#knob(name_+'Ttun') <= 70) {
+        return -700 + this.#knob(name_+'Ttun')*10
+      } else if (this.#knob(name_+'Ttun') <= 99) {
+        return -990 + this.#knob(name_+'Ttun')*10
       } else return 0
     }
 
-    // Create sound source
-    const soundSource = new AudioBufferSourceNode(audioCtx, {
-      buffer: this.#getTomSound(name_),
+    // Create sound sources, the decay variants are blended
+    const [sources, Mix] = this.#blendSources(audioCtx, this.#getTomSound(name_), {
       playbackRate: 1,
+      detune: tune(),
     });
 
     // Create and configure envelope
@@ -4528,56 +6903,46 @@ class Engine {
     Env.gain.setValueAtTime(1, time + 0.3) // sustain
     Env.gain.exponentialRampToValueAtTime(0.1, time + 0.3 + decayTime + 0.5)
 
-    // Apply tuning
-    soundSource.detune.value = tune()
-    
     // Configure output level
     let Level = audioCtx.createGain()
     Level.gain.value = 
       // we keep 0.2 for TOTAL ACCENT
-      ((accent ) * 0.8 + total_accent*this.instSettings['AC'][0]/1000)
-        * this.instSettings[name_+'Tlev'][0]/100 * this.#master_gain
+      ((accent ) * 0.8 + total_accent*this.#knob('AC')/1000)
+        * this.#knob(name_+'Tlev')/100 * this.#master_gain
 
     // Connect audio nodes
-    soundSource.connect(Env).connect(Level)
-    .connect(merger, 0, 0)
+    Mix.connect(Env).connect(Level)
+    .connect(this.#insertFX(name_+'T', audioCtx, merger))
     this.#cummulativeGain += Level.gain.value
-    soundSource.start(time);
+    sources.forEach(source => source.start(time));
   }
 
   /**
    * Selects the appropriate tom sound sample based on instrument settings
    * 
    * @param {string} name_ - Tom name identifier (LT, MT, HT)
-   * @returns {AudioBuffer} The selected tom sound buffer
+   * @returns {Array} The selected tom sounds, see #sounds
    * @private
    */
   #getTomSound(name_) {
+    if (this.#userSound(name_+'T')) return [[this.#userSound(name_+'T'), 1]]
     let returnString = name_
 
     // Add tuning identifier to sample name
-    if (this.instSettings[name_+'Ttun'][0] <= 0) {
+    if (this.#knob(name_+'Ttun') <= 0) {
       returnString += 'T0'
-    } else if (this.instSettings[name_+'Ttun'][0] <= 30) {
+    } else if (this.#knob(name_+'Ttun') <= 30) {
       returnString += 'T3'
-    } else if (this.instSettings[name_+'Ttun'][0] <= 70) {
+    } else if (this.#knob(name_+'Ttun') <= 70) {
       returnString += 'T7'
     } else {
       returnString += 'TA'
     }
 
-    // Add decay identifier to sample name
-    if (this.instSettings[name_+'Tdec'][0] <= 0) {
-      returnString += 'D0'
-    } else if (this.instSettings[name_+'Tdec'][0] <= 30) {
-      returnString += 'D3'
-    } else if (this.instSettings[name_+'Tdec'][0] <= 70) {
-      returnString += 'D7'
-    } else {
-      returnString += 'DA'
-    }
+    // Blend the decay variants
+    const decays = {0: 'D0', 30: 'D3', 70: 'D7', 100: 'DA'}
 
-    return this.#SoundData[returnString]
+    return this.#sounds(returnString, [this.#knob(name_+'Tdec'), decays])
   }
 
   /**
@@ -4587,7 +6952,7 @@ class Engine {
    * @param {number} accent - Accent level (0-2)
    * @param {number} total_accent - Total accent value from pattern
    * @param {AudioContext} audioCtx - Audio context
-   * @param {ChannelMergerNode} merger - Channel merger for output
+   * @param {GainNode} merger - Stereo bus for output
    * @private
    */
   #playSD(time, accent, total_accent, audioCtx, merger) {
@@ -4596,29 +6961,33 @@ class Engine {
       accent = 0.6
     } else if (accent===2) accent = 0.8
 
+    if (this.#isSynth(this.#I.SD)) {
+      this.#synthSD(time, accent, total_accent, audioCtx, merger)
+      return
+    }
+
     /**
      * Calculate tuning value based on instrument settings
      * @returns {number} Playback rate multiplier
      */
     let tune = () => {
-      if (this.instSettings['SDtun'][0] === 0 ||
-        this.instSettings['SDtun'][0] === 31 ||
-        this.instSettings['SDtun'][0] === 71 || 
-        this.instSettings['SDtun'][0] === 100
+      if (this.#knob('SDtun') === 0 ||
+        this.#knob('SDtun') === 31 ||
+        this.#knob('SDtun') === 71 || 
+        this.#knob('SDtun') === 100
       ) { 
         return 1  
-      } else if (this.instSettings['SDtun'][0] <= 30) {
-        return 1 + (this.instSettings['SDtun'][0]/100) * 1.1
-      } else if (this.instSettings['SDtun'][0] <= 70) {
-        return 1 + (this.instSettings['SDtun'][0]/100) * 0.15
+      } else if (this.#knob('SDtun') <= 30) {
+        return 1 + (this.#knob('SDtun')/100) * 1.1
+      } else if (this.#knob('SDtun') <= 70) {
+        return 1 + (this.#knob('SDtun')/100) * 0.15
       } else {
-        return 1 + this.instSettings['SDtun'][0]/100 * 0.008
+        return 1 + this.#knob('SDtun')/100 * 0.008
       }
     }
 
-    // Create sound source
-    const soundSource = new AudioBufferSourceNode(audioCtx, {
-      buffer: this.#getSDSound(),
+    // Create sound sources, the tone and snappy variants are blended
+    const [sources, Mix] = this.#blendSources(audioCtx, this.#getSDSound(), {
       playbackRate: tune(),
     });
 
@@ -4635,8 +7004,8 @@ class Engine {
     HSF.Q.value = 0.0100
 
     // Get snare parameters
-    let snappy = this.instSettings['SDsna'][0]
-    let sd_tone = this.instSettings['SDton'][0]
+    let snappy = this.#knob('SDsna')
+    let sd_tone = this.#knob('SDton')
     let offset = 0.0
     let offset2 = 0.0
 
@@ -4661,59 +7030,45 @@ class Engine {
     let Level = audioCtx.createGain()
     Level.gain.value = 
       // we keep 0.2 for TOTAL ACCENT
-      ((accent ) * 0.8 + total_accent*this.instSettings['AC'][0]/1000)
-        * this.instSettings['SDlev'][0]/100 * this.#master_gain
+      ((accent ) * 0.8 + total_accent*this.#knob('AC')/1000)
+        * this.#knob('SDlev')/100 * this.#master_gain
 
     // Connect audio nodes
-    soundSource.connect(Env).connect(HSF).connect(Level)
-    .connect(merger, 0, 0)
+    Mix.connect(Env).connect(HSF).connect(Level)
+    .connect(this.#insertFX('SD', audioCtx, merger))
     this.#cummulativeGain += Level.gain.value
-    soundSource.start(time, 0, sd_tone/50 + offset2);
+    sources.forEach(source => source.start(time, 0, sd_tone/50 + offset2));
   }
 
   /**
    * Selects the appropriate snare drum sound sample based on instrument settings
    * 
-   * @returns {AudioBuffer} The selected snare drum sound buffer
+   * @returns {Array} The selected snare drum sounds, see #sounds
    * @private
    */
   #getSDSound() {
+    if (this.#userSound('SD')) return [[this.#userSound('SD'), 1]]
     let returnString = 'S'
 
     // Add tuning identifier to sample name
-    if (this.instSettings['SDtun'][0] <= 0) {
+    if (this.#knob('SDtun') <= 0) {
       returnString += 'T0'
-    } else if (this.instSettings['SDtun'][0] <= 30) {
+    } else if (this.#knob('SDtun') <= 30) {
       returnString += 'T3'
-    } else if (this.instSettings['SDtun'][0] <= 70) {
+    } else if (this.#knob('SDtun') <= 70) {
       returnString += 'T7'
     } else {
       returnString += 'TA'
     }
 
-    // Add tone identifier to sample name
-    if (this.instSettings['SDton'][0] === 0) {
-      returnString += 'T0'
-    } else if (this.instSettings['SDton'][0] <= 30) {
-      returnString += 'T3'
-    } else if (this.instSettings['SDton'][0] <= 70) {
-      returnString += 'T7'
-    } else {
-      returnString += 'TA'
-    }
+    // Blend the tone variants, and the snappy variants of each,
+    // the snappy sample at zero exists for the lowest tone only
+    const tones = {0: 'T0', 30: 'T3', 70: 'T7', 100: 'TA'}
+    const snappies = {30: 'S3', 70: 'S7', 100: 'SA'}
 
-    // Add snappy identifier to sample name
-    if (this.instSettings['SDsna'][0] === 0 && 
-      this.instSettings['SDton'][0] === 0) {
-      returnString += 'S0'
-    } else if (this.instSettings['SDsna'][0] <= 30) {
-      returnString += 'S3'
-    } else if (this.instSettings['SDsna'][0] <= 70) {
-      returnString += 'S7'
-    } else {
-      returnString += 'SA'
-    }
-    return this.#SoundData[returnString]
+    return this.#sounds(returnString, [this.#knob('SDton'), tones]).flatMap(([, weight, name]) =>
+      this.#sounds(name, [this.#knob('SDsna'), name.endsWith('T0') ? {0: 'S0', ...snappies} : snappies])
+        .map(([buffer, w, name]) => [buffer, weight * w, name]))
   }
 
   /**
@@ -4723,7 +7078,7 @@ class Engine {
    * @param {number} accent - Accent level (0-2)
    * @param {number} total_accent - Total accent value from pattern
    * @param {AudioContext} audioCtx - Audio context
-   * @param {ChannelMergerNode} merger - Channel merger for output
+   * @param {GainNode} merger - Stereo bus for output
    * @private
    */
   #playBD(time, accent, total_accent, audioCtx, merger) {
@@ -4732,83 +7087,291 @@ class Engine {
       accent = 0.6
     } else if (accent===2) accent = 0.8
 
+    if (this.#isSynth(this.#I.BD)) {
+      this.#synthBD(time, accent, total_accent, audioCtx, merger)
+      return
+    }
+
     // Get bass drum parameters
-    let attackTime = (this.instSettings['BDatt'][0]/1000 + Math.random()/4000)/10
-    let decayTime = (this.instSettings['BDdec'][0]/133 + 0.250) * 0.25
-    let tune = this.instSettings['BDtun'][0]/2000 + 1
+    let attackTime = (this.#knob('BDatt')/1000 + Math.random()/4000)/10
+    let decayTime = (this.#knob('BDdec')/133 + 0.250) * 0.25
+    let tune = this.#knob('BDtun')/2000 + 1
 
-    // Create sound source
-    const soundSource = new AudioBufferSourceNode(audioCtx, {
-      buffer: this.#getBDSound(),
+    // Create sound sources, the tune and decay variants are blended
+    const [sources, Mix] = this.#blendSources(audioCtx, this.#getBDSound(), {
       playbackRate: tune,
     });
 
-    // Create and configure envelope
-    const Env = new GainNode(audioCtx)
-    Env.gain.cancelScheduledValues(time)
+    // Create and configure envelope
+    const Env = new GainNode(audioCtx)
+    Env.gain.cancelScheduledValues(time)
+
+    // ADSR attack
+    Env.gain.setValueAtTime(0, time)
+    Env.gain.linearRampToValueAtTime(1, time + attackTime)
+
+    // Sustain and decay
+    let sustainTime = 0.04
+    Env.gain.setValueAtTime(1, time + attackTime + sustainTime)
+
+    let endValue = this.#knob('BDdec')/100 + 0.001
+    Env.gain.linearRampToValueAtTime(
+      endValue, 
+      time + attackTime + sustainTime + decayTime)
+
+    // Configure output level
+    let Level = audioCtx.createGain()
+    Level.gain.value = 
+      // we keep 0.2 for TOTAL ACCENT
+      ((accent) * 0.8 + total_accent*this.#knob('AC')/1000)
+        * this.#knob('BDlev')/100 * this.#master_gain
+
+    // Connect audio nodes
+    Mix.connect(Env)
+    .connect(Level)
+    .connect(this.#insertFX('BD', audioCtx, merger))
+
+    this.#cummulativeGain += Level.gain.value
+    sources.forEach(source => source.start(time));
+  }
+  
+  /**
+   * Selects the appropriate bass drum sound sample based on instrument settings
+   * 
+   * @returns {Array} The selected bass drum sounds, see #sounds
+   * @private
+   */
+  #getBDSound () {
+    if (this.#userSound('BD')) return [[this.#userSound('BD'), 1]]
+    // Blend the tuning and decay variants, the longest decay has an attack variant
+    const tunes = {30: 'T0', 70: 'T3', 90: 'T7', 100: 'TA'}
+    const decays = {0: 'A0D0', 20: 'A0D3', 70: 'A0D7', 100: this.#knob('BDatt')>71?'AADA':'A0DA'}
+
+    return this.#sounds('B', [this.#knob('BDtun'), tunes], [this.#knob('BDdec'), decays])
+  }
+
+  /**
+   * Neighbouring variants of a sample around a knob position, with equal power weights.
+   * A variant sits at the last position of its range on the real machine,
+   * there the sound is the one of the variant alone.
+   * 
+   * @param {number} value - Knob position
+   * @param {Array<number>} positions - Positions of the variants, ascending
+   * @returns {Array<Array<number>>} [[position, weight]], one variant or two to blend
+   * @private
+   */
+  #crossfade(value, positions) {
+    if (value <= positions[0]) return [[positions[0], 1]]
+
+    for (let i = 1; i < positions.length; i++) {
+      if (value < positions[i]) {
+        const x = (value - positions[i-1]) / (positions[i] - positions[i-1])
+        return [[positions[i-1], Math.cos(x * Math.PI/2)], [positions[i], Math.sin(x * Math.PI/2)]]
+      }
+    }
+    return [[positions[positions.length-1], 1]]
+  }
+
+  /**
+   * Sample variants blended by the knobs, each knob adds its part to the sample name
+   * 
+   * @param {string} name - Start of the sample name
+   * @param {...Array} knobs - [value, {position: part of the name}] for each knob
+   * @returns {Array} [[AudioBuffer, weight, name]], weights are equal power
+   * @private
+   */
+  #sounds(name, ...knobs) {
+    let variants = [[name, 1]]
+    for (const [value, parts] of knobs) {
+      const positions = Object.keys(parts).map(Number)
+      variants = variants.flatMap(([name, weight]) => this.#crossfade(value, positions)
+        .map(([position, w]) => [name + parts[position], weight * w]))
+    }
+    return variants.map(([name, weight]) => [this.#sample(name), weight, name])
+  }
+
+  /**
+   * Creates a source for each of the blended sounds, mixed by their weights
+   * 
+   * @param {AudioContext} audioCtx - Audio context
+   * @param {Array} sounds - Sounds as given by #sounds
+   * @param {Object} options - Options of the sources
+   * @returns {Array} [sources, mix], mix is the gain the sources sum into
+   * @private
+   */
+  #blendSources(audioCtx, sounds, options) {
+    const Mix = new GainNode(audioCtx)
+    const sources = sounds.map(([buffer, weight]) => {
+      const soundSource = new AudioBufferSourceNode(audioCtx, {...options, buffer: buffer})
+      soundSource.connect(new GainNode(audioCtx, {gain: weight})).connect(Mix)
+      return soundSource
+    })
+    return [sources, Mix]
+  }
+
+  /** White noise of the analog model, buffers play in any audio context */
+  #noise = undefined
+
+  /**
+   * Gives a source of white noise, the buffer is made once
+   * @param {AudioContext} audioCtx - Audio context
+   * @returns {AudioBufferSourceNode} Noise source, one second long
+   * @private
+   */
+  #noiseSource(audioCtx) {
+    if (!this.#noise) {
+      const sampleRate = this.#audioCtx.sampleRate
+      this.#noise = new AudioBuffer({length: sampleRate, sampleRate: sampleRate})
+      const data = this.#noise.getChannelData(0)
+      for (let i = 0; i < data.length; i++) data[i] = Math.random()*2 - 1
+    }
+    return new AudioBufferSourceNode(audioCtx, {buffer: this.#noise})
+  }
+
+  /**
+   * Plays the bass drum of the analog model: a sine swept down to the body pitch,
+   * with a click of noise for the attack.
+   * BDtun sets the depth of the sweep, BDatt the click, BDdec the length of the body
+   * 
+   * @param {number} time - Time to schedule the sound
+   * @param {number} accent - Accent level, normalized
+   * @param {number} total_accent - Total accent value from pattern
+   * @param {AudioContext} audioCtx - Audio context
+   * @param {GainNode} merger - Stereo bus for output
+   * @private
+   */
+  #synthBD(time, accent, total_accent, audioCtx, merger) {
+    const body = 50
+    const sweep = body * (2 + this.#knob('BDtun')/100 * 4)
+    const decayTime = 0.15 + this.#knob('BDdec')/100 * 0.85
+
+    const osc = new OscillatorNode(audioCtx, {type: 'sine'})
+    osc.frequency.setValueAtTime(sweep, time)
+    osc.frequency.exponentialRampToValueAtTime(body, time + 0.05)
 
-    // ADSR attack
+    const Env = new GainNode(audioCtx, {gain: 0})
     Env.gain.setValueAtTime(0, time)
-    Env.gain.linearRampToValueAtTime(1, time + attackTime)
-
-    // Sustain and decay
-    let sustainTime = 0.04
-    Env.gain.setValueAtTime(1, time + attackTime + sustainTime)
+    Env.gain.linearRampToValueAtTime(1, time + 0.002)
+    Env.gain.exponentialRampToValueAtTime(0.001, time + decayTime)
 
-    let endValue = this.instSettings['BDdec'][0]/100 + 0.001
-    Env.gain.linearRampToValueAtTime(
-      endValue, 
-      time + attackTime + sustainTime + decayTime)
+    // attack click
+    const click = this.#noiseSource(audioCtx)
+    const HPF = new BiquadFilterNode(audioCtx, {type: 'highpass', frequency: 1000})
+    const ClickEnv = new GainNode(audioCtx, {gain: 0})
+    ClickEnv.gain.setValueAtTime(this.#knob('BDatt')/100 * 0.6, time)
+    ClickEnv.gain.exponentialRampToValueAtTime(0.001, time + 0.01)
 
     // Configure output level
     let Level = audioCtx.createGain()
     Level.gain.value = 
       // we keep 0.2 for TOTAL ACCENT
-      ((accent) * 0.8 + total_accent*this.instSettings['AC'][0]/1000)
-        * this.instSettings['BDlev'][0]/100 * this.#master_gain
+      ((accent) * 0.8 + total_accent*this.#knob('AC')/1000)
+        * this.#knob('BDlev')/100 * this.#master_gain
 
-    // Connect audio nodes
-    soundSource.connect(Env)
-    .connect(Level)
-    .connect(merger, 0, 0)
+    osc.connect(Env).connect(Level)
+    click.connect(HPF).connect(ClickEnv).connect(Level)
+    Level.connect(this.#insertFX('BD', audioCtx, merger))
+    this.#cummulativeGain += Level.gain.value
+    osc.start(time)
+    osc.stop(time + decayTime)
+    click.start(time, 0, 0.01)
+  }
+
+  /**
+   * Plays the snare drum of the analog model: two resonators for the body
+   * and filtered noise for the snares.
+   * SDtun sets the pitch of the body, SDton the balance of its resonators,
+   * SDsna the level and the length of the snares
+   * 
+   * @param {number} time - Time to schedule the sound
+   * @param {number} accent - Accent level, normalized
+   * @param {number} total_accent - Total accent value from pattern
+   * @param {AudioContext} audioCtx - Audio context
+   * @param {GainNode} merger - Stereo bus for output
+   * @private
+   */
+  #synthSD(time, accent, total_accent, audioCtx, merger) {
+    const tune = 1 + this.#knob('SDtun')/100 * 0.5
+    const tone = this.#knob('SDton')/100
+    const snappy = this.#knob('SDsna')/100
 
+    // Configure output level
+    let Level = audioCtx.createGain()
+    Level.gain.value = 
+      // we keep 0.2 for TOTAL ACCENT
+      ((accent ) * 0.8 + total_accent*this.#knob('AC')/1000)
+        * this.#knob('SDlev')/100 * this.#master_gain
+
+    // body, the low resonator fades into the high one with the tone
+    const resonators = [[180, 1 - tone*0.6], [330, 0.2 + tone*0.6]]
+    for (const [frequency, level] of resonators) {
+      const osc = new OscillatorNode(audioCtx, {type: 'triangle'})
+      osc.frequency.setValueAtTime(frequency * tune * 1.3, time)
+      osc.frequency.exponentialRampToValueAtTime(frequency * tune, time + 0.02)
+
+      const Env = new GainNode(audioCtx, {gain: 0})
+      Env.gain.setValueAtTime(level, time)
+      Env.gain.exponentialRampToValueAtTime(0.001, time + 0.15)
+
+      osc.connect(Env).connect(Level)
+      osc.start(time)
+      osc.stop(time + 0.15)
+    }
+
+    // snares
+    const snareTime = 0.08 + snappy * 0.22
+    const noise = this.#noiseSource(audioCtx)
+    const HPF = new BiquadFilterNode(audioCtx, {type: 'highpass', frequency: 1800})
+    const Env = new GainNode(audioCtx, {gain: 0})
+    Env.gain.setValueAtTime(snappy * 0.8 + 0.05, time)
+    Env.gain.exponentialRampToValueAtTime(0.001, time + snareTime)
+
+    noise.connect(HPF).connect(Env).connect(Level)
+    Level.connect(this.#insertFX('SD', audioCtx, merger))
     this.#cummulativeGain += Level.gain.value
-    soundSource.start(time);
+    noise.start(time, 0, snareTime)
   }
-  
+
   /**
-   * Selects the appropriate bass drum sound sample based on instrument settings
+   * Plays a tom of the analog model: a triangle-ish oscillator swept down to its pitch.
+   * *Ttun moves the pitch by half an octave each way, *Tdec sets the length
    * 
-   * @returns {AudioBuffer} The selected bass drum sound buffer
+   * @param {string} name_ - Tom name identifier (L, M, H)
+   * @param {number} time - Time to schedule the sound
+   * @param {number} accent - Accent level, normalized
+   * @param {number} total_accent - Total accent value from pattern
+   * @param {AudioContext} audioCtx - Audio context
+   * @param {GainNode} merger - Stereo bus for output
    * @private
    */
-  #getBDSound () {
-    let returnString = 'B'
+  #synthTom(name_, time, accent, total_accent, audioCtx, merger) {
+    const pitches = {L: 95, M: 140, H: 200}
+    const frequency = pitches[name_] * Math.pow(2, (this.#knob(name_+'Ttun') - 50)/100)
+    const decayTime = 0.1 + this.#knob(name_+'Tdec')/100 * 0.9
 
-    // Add tuning identifier to sample name
-    if (this.instSettings['BDtun'][0] <= 30) {
-      returnString += 'T0'
-    } else if (this.instSettings['BDtun'][0] <= 70) {
-      returnString += 'T3'
-    } else if (this.instSettings['BDtun'][0] <= 90) {
-      returnString += 'T7'
-    } else {
-      returnString += 'TA'
-    }
-    returnString += 'A0'
+    // a triangle with its highest harmonics taken off
+    const osc = new OscillatorNode(audioCtx, {type: 'triangle'})
+    osc.frequency.setValueAtTime(frequency * 1.4, time)
+    osc.frequency.exponentialRampToValueAtTime(frequency, time + 0.06)
+    const LPF = new BiquadFilterNode(audioCtx, {type: 'lowpass', frequency: frequency * 6})
 
-    // Add decay/attack identifier to sample name
-    if (this.instSettings['BDdec'][0] === 0) {
-      returnString += 'D0'
-    } else if (this.instSettings['BDdec'][0] <= 20) {
-      returnString += 'D3'
-    } else if (this.instSettings['BDdec'][0] <= 70) {
-      returnString += 'D7'
-    } else {
-      returnString = returnString.slice(0, -2) + (this.instSettings['BDatt'][0]>71?'AADA':'A0DA')
-    }
+    const Env = new GainNode(audioCtx, {gain: 0})
+    Env.gain.setValueAtTime(0, time)
+    Env.gain.linearRampToValueAtTime(1, time + 0.002)
+    Env.gain.exponentialRampToValueAtTime(0.001, time + decayTime)
+
+    // Configure output level
+    let Level = audioCtx.createGain()
+    Level.gain.value = 
+      // we keep 0.2 for TOTAL ACCENT
+      ((accent ) * 0.8 + total_accent*this.#knob('AC')/1000)
+        * this.#knob(name_+'Tlev')/100 * this.#master_gain
 
-    return this.#SoundData[returnString]
+    osc.connect(LPF).connect(Env).connect(Level)
+    .connect(this.#insertFX(name_+'T', audioCtx, merger))
+    this.#cummulativeGain += Level.gain.value
+    osc.start(time)
+    osc.stop(time + decayTime)
   }
 
   // #showLoader() {
@@ -4903,7 +7466,7 @@ class Engine {
       this.onLoadProgress && this.onLoadProgress(40)
       
       // Decode each audio buffer - use a more efficient approach for Safari
-      let objValues, buffer, audioBuffer
+      let objValues, buffer
       const totalSounds = Object.keys(parsedBlob).length
       let decodedCount = 0
       
@@ -4921,26 +7484,7 @@ class Engine {
             objValues = Object.values(value);
             buffer = new Int16Array(objValues);
             
-            // Safari has issues with the promise version sometimes, so use the callback pattern if needed
-            const isSafari = typeof navigator !== 'undefined' && 
-                            navigator.userAgent && 
-                            /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
-                            
-            if (isSafari) {
-              // Safari-specific implementation with callback fallback
-              audioBuffer = await new Promise((resolve, reject) => {
-                this.#audioCtx.decodeAudioData(
-                  buffer.buffer,
-                  (decodedData) => resolve(decodedData),
-                  (err) => reject(err)
-                );
-              });
-            } else {
-              // Standard promise-based implementation for other browsers
-              audioBuffer = await this.#audioCtx.decodeAudioData(buffer.buffer);
-            }
-            
-            this.#SoundData[key] = audioBuffer;
+            this.#SoundData[key] = await this.#decodeAudio(buffer.buffer);
             
             // Update progress (40% to 95% range for decoding)
             decodedCount++;
@@ -4965,6 +7509,292 @@ class Engine {
     }
   }  
 
+  /**
+   * Decodes audio data with the audio context
+   * 
+   * @param {ArrayBuffer} data - Encoded audio, it is detached by the decoding
+   * @returns {Promise<AudioBuffer>} The decoded audio
+   * @private
+   */
+  async #decodeAudio(data) {
+    // Safari has issues with the promise version sometimes, so use the callback pattern if needed
+    const isSafari = typeof navigator !== 'undefined' && 
+                    navigator.userAgent && 
+                    /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
+                    
+    if (isSafari) {
+      // Safari-specific implementation with callback fallback
+      return await new Promise((resolve, reject) => {
+        this.#audioCtx.decodeAudioData(
+          data,
+          (decodedData) => resolve(decodedData),
+          (err) => reject(err)
+        );
+      });
+    }
+    // Standard promise-based implementation for other browsers
+    return await this.#audioCtx.decodeAudioData(data);
+  }
+
+  /**
+   * User samples of the preset, instruments of #soundTABLE to [id, file name].
+   * The audio is kept in IndexedDB under the id, the preset keeps the ids only
+   */
+  #userSamples = {}
+
+  /** Decoded user samples by id */
+  #userBuffers = {}
+
+  /** IndexedDB database and object store keeping the audio of the user samples */
+  #sampleDB = ['tr909samples', 'samples']
+
+  /** Ids of the user samples replaced during the session, their audio goes once nothing refers to it */
+  #replacedSamples = new Set()
+
+  /**
+   * Runs a request on the object store of the user samples
+   * 
+   * @param {string} mode - Transaction mode, 'readonly' or 'readwrite'
+   * @param {Function} request - Gets the object store, returns the request
+   * @returns {Promise<*>} Result of the request
+   * @private
+   */
+  #sampleStore(mode, request) {
+    const [dbName, storeName] = this.#sampleDB
+    return new Promise((resolve, reject) => {
+      const opened = indexedDB.open(dbName, 1)
+      opened.onupgradeneeded = () => opened.result.createObjectStore(storeName)
+      opened.onerror = () => reject(opened.error)
+      opened.onsuccess = () => {
+        const db = opened.result
+        const done = request(db.transaction(storeName, mode).objectStore(storeName))
+        done.onsuccess = () => { db.close(); resolve(done.result) }
+        done.onerror = () => { db.close(); reject(done.error) }
+      }
+    })
+  }
+
+  /**
+   * Gives the user sample of an instrument when it is decoded
+   * 
+   * @param {string} inst - Instrument, e.g. 'BD' or 'HHO'
+   * @returns {AudioBuffer|undefined} The sample, undefined plays the factory sound
+   * @private
+   */
+  #userSound(inst) {
+    const sample = this.#userSamples[inst]
+    return sample && this.#userBuffers[sample[0]]
+  }
+
+  /**
+   * Gives the ids of the user samples of a preset
+   * @param {Array} [preset] - The preset
+   * @returns {Array<string>} The ids, none for the presets saved before the user samples
+   * @private
+   */
+  #sampleIds(preset) {
+    return Object.values((preset && preset[11]) || {}).map(([id]) => id)
+  }
+
+  /** Deletes of the audio of the user samples from IndexedDB, they run one after the other */
+  #sampleDeletes = Promise.resolve()
+
+  /**
+   * Replaces the user sample of an instrument. The samples replaced during the session
+   * that neither the preset played, the bank table, the copy and undo buffers
+   * nor the history refer to anymore are deleted, after all of them are checked
+   * 
+   * @param {string} inst - Instrument, e.g. 'BD' or 'HHO'
+   * @param {Array} [sample] - [id, file name], the factory sound when missing
+   * @private
+   */
+  #replaceUserSample(inst, sample) {
+    this.#userSamples[inst] && this.#replacedSamples.add(this.#userSamples[inst][0])
+    if (sample) {
+      this.#userSamples[inst] = sample
+    } else {
+      delete this.#userSamples[inst]
+    }
+
+    const presets = [this.#COPY_BUFFER_PRESET, this.#undoPresetBuffer[1], ...this.PRESETS, ...this.PRESETS_RECALL]
+    const used = new Set([
+      ...Object.values(this.#userSamples).map(([id]) => id),
+      ...presets.flatMap(preset => this.#sampleIds(preset)),
+      ...this.#history.flatMap(entry => entry.samples),
+      ...this.#redoHistory.flatMap(entry => entry.samples)])
+    const unused = [...this.#replacedSamples].filter(id => !used.has(id))
+    for (const id of unused) {
+      this.#replacedSamples.delete(id)
+      delete this.#userBuffers[id]
+      this.#sampleDeletes = this.#sampleDeletes
+        .then(() => this.#sampleStore('readwrite', store => store.delete(id)))
+        .catch(err => console.error(`Error deleting user sample ${id}:`, err))
+    }
+  }
+
+  /**
+   * Decodes the user samples of the preset missing from the session
+   * @private
+   */
+  async #loadUserSamples() {
+    for (const [id] of Object.values(this.#userSamples)) {
+      if (this.#userBuffers[id]) continue
+      try {
+        const data = await this.#sampleStore('readonly', store => store.get(id))
+        if (data) this.#userBuffers[id] = await this.#decodeAudio(data)
+      } catch (err) {
+        console.error(`Error loading user sample ${id}:`, err)
+      }
+    }
+  }
+
+  /**
+   * Assigns a WAV or AIFF file to the selected instrument of the preset.
+   * Works with SHIFT only, as the other modes writing the preset.
+   * 
+   * @param {File} file - The audio file
+   */
+  async loadUserSample(file) {
+    const inst = this.SELECTED_INST
+    if (!this.TRACK_WRITE || !this.#soundTABLE[this.#I[inst]]) {
+      this.#showBriefly('SAMPLE SELECT INST')
+      return
+    }
+
+    let data
+    let audioBuffer
+    try {
+      data = await file.arrayBuffer()
+      // the decoding detaches the data kept
+      audioBuffer = await this.#decodeAudio(data.slice(0))
+    } catch (_) {
+      this.dataFormatErr("SAMPLE", this.#Iverbose[inst])
+      return
+    }
+
+    const id = `${inst} ${Date.now()} ${file.name}`
+    try {
+      await this.#sampleStore('readwrite', store => store.put(data, id))
+    } catch (err) {
+      // the sample plays for the session
+      console.error(`Error storing user sample ${id}:`, err)
+    }
+
+    this.#remember(undefined, 'SETTINGS')
+    this.#userBuffers[id] = audioBuffer
+    this.#replaceUserSample(inst, [id, file.name])
+    this.#showBriefly(`SAMPLE ${inst} ${file.name}`)
+    // the sample is heard as it is set
+    this.#soundTABLE[this.#I[inst]](this.#audioCtx.currentTime, 2, 0.8, undefined, inst === 'HHO' ? 13 : 12)
+  }
+
+  /**
+   * Brings back the factory sound of the selected instrument, with ALT on the LOAD key
+   * 
+   * @param {boolean} altKey - Whether Alt key is pressed
+   * @returns {boolean} True when the LOAD key restored the sound instead of loading a file
+   */
+  restoreFactorySound(altKey) {
+    if (!(altKey || this.#altKey) || !this.TRACK_WRITE || this.isBankTable) return false
+
+    const inst = this.SELECTED_INST
+    if (this.#userSamples[inst]) {
+      this.#remember(undefined, 'SETTINGS')
+      this.#replaceUserSample(inst)
+    }
+    this.#showBriefly(`SAMPLE ${inst} FACTORY`)
+    return true
+  }
+
+  /**
+   * Sound kit played, see the .tr909kit format in README.md.
+   * data holds its decoded samples by the factory names they replace
+   */
+  #kit = {name: 'FACTORY', author: '', data: {}}
+
+  /** Start of the factory sample names of each instrument, the rest names the knob bucket */
+  #kitPrefixes = {
+    BD: 'B', SD: 'S', LT: 'L', MT: 'M', HT: 'H', RS: 'RIM', HC: 'HANDCLP',
+    HHC: 'HHC', HHO: 'HHO', CR: 'CSH', RD: 'RIDE',
+  }
+
+  /**
+   * Gives a sample of the kit, the factory one when the kit does not provide it
+   * 
+   * @param {string} name - Factory sample name, e.g. 'BTA0D7'
+   * @returns {AudioBuffer} The sample
+   * @private
+   */
+  #sample(name) {
+    return this.#kit.data[name] || this.#SoundData[name]
+  }
+
+  /**
+   * Gives the name of the sound kit played
+   * @returns {string} Kit name, 'FACTORY' for the factory kit
+   */
+  getKitName = () => { return this.#kit.name }
+
+  /**
+   * Loads a .tr909kit file and plays it from now on, instead of the factory kit
+   * 
+   * @param {Blob} payload - The kit file
+   * @param {string} filename_on_load - The filename
+   */
+  async loadKit(payload, filename_on_load) {
+    let kit
+    try {
+      const unzipped = await this.#unzipObject(payload)
+      kit = parse(await unzipped.text())
+    } catch (_) {
+      kit = undefined
+    }
+
+    // Validate kit format (shallow check)
+    if (!kit || kit.format !== 'tr909kit' || kit.version !== 1 ||
+      typeof kit.manifest !== 'object' || typeof kit.samples !== 'object') {
+      this.dataFormatErr("KIT", this.#kit.name)
+      return
+    }
+
+    // samples are decoded once, buckets may share them
+    const decoded = {}
+    const data = {}
+    for (const [inst, buckets] of Object.entries(kit.manifest)) {
+      if (!this.#kitPrefixes[inst]) continue
+      for (const [bucket, key] of Object.entries(buckets)) {
+        if (!kit.samples[key]) continue
+        try {
+          if (!decoded[key]) {
+            decoded[key] = await this.#decodeAudio(new Int16Array(Object.values(kit.samples[key])).buffer)
+          }
+          data[this.#kitPrefixes[inst] + bucket] = decoded[key]
+        } catch (err) {
+          console.error(`Error decoding kit sample ${key}:`, err)
+        }
+      }
+    }
+
+    this.#kit = {
+      name: kit.name || filename_on_load.slice(0, -9),
+      author: kit.author || '',
+      data: data,
+    }
+    this.#showBriefly(`KIT ${this.#kit.name}`)
+    this.StateSetters['sbKit-r'](state => !state)
+  }
+
+  /**
+   * Goes back to the factory kit.
+   * Works with SHIFT only, as the other modes changing the sound.
+   */
+  restoreFactoryKit() {
+    if (!this.TRACK_WRITE) return
+    this.#kit = {name: 'FACTORY', author: '', data: {}}
+    this.#showBriefly('KIT FACTORY')
+    this.StateSetters['sbKit-r'](state => !state)
+  }
+
   /** Master gain level for all sounds */
   #master_gain = 1.0
   
@@ -5061,6 +7891,7 @@ class Engine {
    */
   setMuteBit (bit) {
     // this.Log('bit:mute:', bit, mute)
+    this.#remember('MUTE', 'SETTINGS')
     if (!(this.#muteBits & 1<<bit)) {
       this.#muteBits |= 1<<bit // set 0 to 1
       return
@@ -5074,6 +7905,7 @@ class Engine {
    */
   setSoloBit (bit) {
     // this.Log('bit:solo:', bit, solo)
+    this.#remember('MUTE', 'SETTINGS')
     if (!(this.#soloBits & 1<<bit)) {
       this.#soloBits |= 1<<bit
       return
@@ -5104,12 +7936,57 @@ class Engine {
 
   /** Stores hihat data for processing */
   #HH = []
+
+  /**
+   * Choke groups, a hit of a group cuts the voices of the groups listed for it.
+   * The hats of the 909 share one voice, so a hat cuts the hat still ringing.
+   * Groups are 'HH', 'RD' and 'CR', e.g. the crash choking the ride: CR: ['CR', 'RD']
+   */
+  chokeGroups = { HH: ['HH'], RD: [], CR: [] }
+
+  /** Voices that may be choked: {audioCtx, group, sources, choke, time} */
+  #chokeVoices = []
+
+  /** Fade of a choked voice (s), short enough to cut, long enough not to click */
+  #chokeFade = 0.005
+
+  /**
+   * Cuts the voices choked by a hit and keeps the voice of the hit for the hits to come.
+   * Works in the offline context of the render too, voices are kept per context.
+   * @param {string} group - Choke group of the hit
+   * @param {number} time - Time of the hit
+   * @param {Array<AudioBufferSourceNode>} sources - Sources of the hit
+   * @param {AudioContext} audioCtx - Audio context
+   * @returns {GainNode} Gain to connect the sources through, it fades out when choked
+   * @private
+   */
+  #chokeVoice(group, time, sources, audioCtx) {
+    const choked = this.chokeGroups[group] || []
+    this.#chokeVoices = this.#chokeVoices.filter(voice => {
+      // voices scheduled after the hit (nudges, flams) keep playing
+      if (voice.audioCtx !== audioCtx || !choked.includes(voice.group) || voice.time >= time) {
+        return true
+      }
+      voice.choke.gain.setValueAtTime(1, time)
+      voice.choke.gain.linearRampToValueAtTime(0, time + this.#chokeFade)
+      voice.sources.forEach(source => source.stop(time + this.#chokeFade))
+      return false
+    })
+
+    const Choke = new GainNode(audioCtx)
+    const voice = {audioCtx: audioCtx, group: group, sources: sources, choke: Choke, time: time}
+    this.#chokeVoices.push(voice)
+    sources[0].onended = () => {
+      this.#chokeVoices = this.#chokeVoices.filter(v => v !== voice)
+    }
+    return Choke
+  }
   
   /** Compressor for the full audio band */
   #fullBandCompressor = this.#audioCtx.createDynamicsCompressor()
   
-  /** Channel merger for combining audio signals */
-  #merger = this.#audioCtx.createChannelMerger(1)
+  /** Stereo bus the voices mix into, mono voices sit in the middle */
+  #merger = new GainNode(this.#audioCtx, {channelCount: 2, channelCountMode: 'explicit'})
   
   /** DC offset filter to remove low frequency artifacts */
   #dcCut = this.#audioCtx.createBiquadFilter()
@@ -5179,96 +8056,140 @@ class Engine {
 
   /**
    * Plays all instruments for a specific beat based on the pattern
-   * @param {number} beatNumber - Current beat number
+   * @param {Array<number>} steps - Step each track plays, see #advanceTracks
    * @param {number} time - AudioContext time to schedule the sounds
    * @param {number} flammedTime - Time for flam notes (slightly before main beat)
+   * @param {number} stepTime - Duration of the step in seconds, ratchets repeat within it
    * @param {Array} patternPlayed - Pattern data containing instrument triggers
+   * @param {Object} trig - State of the step conditions: loop of the pattern (0 is the first one),
+   * fill key and the tracks whose last note fired
    * @param {AudioContext} audioCtx - Audio context to use
-   * @param {ChannelMergerNode} merger - Channel merger node
+   * @param {GainNode} merger - Stereo bus for output
+   * @param {Function} random - Random source of the probability layer and humanize
    * @private
    */
-  #playMachine(beatNumber, time, flammedTime, patternPlayed, audioCtx=this.#audioCtx, merger=this.#merger) {
-    if (this.#getMuteSolo(7) * patternPlayed[this.#I.BD][beatNumber]) {
+  #playMachine(steps, time, flammedTime, stepTime, patternPlayed, trig, audioCtx=this.#audioCtx, merger=this.#merger, random=this.#random) {
+    // the accent track may run its own length too
+    const totalAccent = patternPlayed[this.#I.AC][steps[this.#I.AC]]
+    // steps that fail their condition or their chance are skipped,
+    // the outcome is kept for the PRE condition of the next note of the track
+    const plays = (track) => {
+      if (!patternPlayed[track][steps[track]]) return false
+      trig.fired[track] = this.#conditionMet(patternPlayed, track, steps[track], trig) &&
+        this.#stepPlays(patternPlayed, track, steps[track], random)
+      return trig.fired[track]
+    }
+    // nudged steps move their voice only, flams and repeats included,
+    // so does the timing spread of humanize
+    const drift = []
+    const nudged = (track, time) => {
+      if (drift[track] === undefined) drift[track] = this.#humanizeTime(track, random)
+      return Math.max(0, time + patternPlayed[21][track][steps[track]]/100 * stepTime + drift[track])
+    }
+    const accentOf = (track) => 
+      this.#humanizeAccent(track, this.#stepAccent(patternPlayed, track, steps[track]), random)
+    // the voices read the knobs locked into the step, the accent track locks the AC knob
+    const lock = (track) => {
+      this.#stepLocks = {
+        ...patternPlayed[24][this.#I.AC][steps[this.#I.AC]], ...patternPlayed[24][track][steps[track]] }
+    }
+
+    if (this.#getMuteSolo(7) && plays(this.#I.BD)) {
+      lock(this.#I.BD)
       /**
        * Here, if the INST is flammed, it will play one extra before the main time
        */
       if (patternPlayed[15][this.#I.BD]) {
         // for the flammed note we use a sound that is lower in volume than the one played
         // this.Log('flammedTime:', flammedTime)
-        this.#playBD(flammedTime, 0.8,
-          patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+        this.#playBD(nudged(this.#I.BD, flammedTime), 0.8,
+          totalAccent, audioCtx, merger)
       }
       // this.Log('time:', time)
-      this.#playBD(time, 
-        patternPlayed[this.#I.BD][beatNumber],
-        patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+      this.#ratchetStep(patternPlayed, this.#I.BD, steps[this.#I.BD], nudged(this.#I.BD, time), stepTime,
+        accentOf(this.#I.BD),
+        (time, accent) => this.#playBD(time, accent,
+          totalAccent, audioCtx, merger))
     }
 
-    if (this.#getMuteSolo(6) * patternPlayed[this.#I.SD][beatNumber]) {
+    if (this.#getMuteSolo(6) && plays(this.#I.SD)) {
+      lock(this.#I.SD)
       if (patternPlayed[15][this.#I.SD]) {
-        this.#playSD(flammedTime, 0.1,
-        patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+        this.#playSD(nudged(this.#I.SD, flammedTime), 0.1,
+        totalAccent, audioCtx, merger)
       }
-      this.#playSD(time, 
-        patternPlayed[this.#I.SD][beatNumber],
-        patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+      this.#ratchetStep(patternPlayed, this.#I.SD, steps[this.#I.SD], nudged(this.#I.SD, time), stepTime,
+        accentOf(this.#I.SD),
+        (time, accent) => this.#playSD(time, accent,
+          totalAccent, audioCtx, merger))
     }
 
-    if (this.#getMuteSolo(5) * patternPlayed[this.#I.LT][beatNumber]) {
+    if (this.#getMuteSolo(5) && plays(this.#I.LT)) {
+      lock(this.#I.LT)
       if (patternPlayed[15][this.#I.LT]) {
-        this.#playTom('L', flammedTime, 0.8,
-          patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+        this.#playTom('L', nudged(this.#I.LT, flammedTime), 0.8,
+          totalAccent, audioCtx, merger)
       }
-      this.#playTom('L', time, 
-        patternPlayed[this.#I.LT][beatNumber],
-        patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+      this.#ratchetStep(patternPlayed, this.#I.LT, steps[this.#I.LT], nudged(this.#I.LT, time), stepTime,
+        accentOf(this.#I.LT),
+        (time, accent) => this.#playTom('L', time, accent,
+          totalAccent, audioCtx, merger))
     }
-    if (this.#getMuteSolo(4) * patternPlayed[this.#I.MT][beatNumber]) {
+    if (this.#getMuteSolo(4) && plays(this.#I.MT)) {
+      lock(this.#I.MT)
       if (patternPlayed[15][this.#I.MT]) {
-        this.#playTom('M', flammedTime, 0.8,
-          patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+        this.#playTom('M', nudged(this.#I.MT, flammedTime), 0.8,
+          totalAccent, audioCtx, merger)
       }
-      this.#playTom('M', time, 
-        patternPlayed[this.#I.MT][beatNumber],
-        patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+      this.#ratchetStep(patternPlayed, this.#I.MT, steps[this.#I.MT], nudged(this.#I.MT, time), stepTime,
+        accentOf(this.#I.MT),
+        (time, accent) => this.#playTom('M', time, accent,
+          totalAccent, audioCtx, merger))
     }
-    if (this.#getMuteSolo(3) * patternPlayed[this.#I.HT][beatNumber]) {
+    if (this.#getMuteSolo(3) && plays(this.#I.HT)) {
+      lock(this.#I.HT)
       if (patternPlayed[15][this.#I.HT]) {
-        this.#playTom('H', flammedTime, 0.8,
-          patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+        this.#playTom('H', nudged(this.#I.HT, flammedTime), 0.8,
+          totalAccent, audioCtx, merger)
       }
-      this.#playTom('H', time, 
-        patternPlayed[this.#I.HT][beatNumber],
-        patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+      this.#ratchetStep(patternPlayed, this.#I.HT, steps[this.#I.HT], nudged(this.#I.HT, time), stepTime,
+        accentOf(this.#I.HT),
+        (time, accent) => this.#playTom('H', time, accent,
+          totalAccent, audioCtx, merger))
     }
 
-    if (this.#getMuteSolo(2) * patternPlayed[this.#I.RS][beatNumber]) {
+    if (this.#getMuteSolo(2) && plays(this.#I.RS)) {
+      lock(this.#I.RS)
       if (patternPlayed[15][this.#I.RS]) {
-        this.#playRim(flammedTime,
-          patternPlayed[this.#I.RS][beatNumber],
-          patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+        this.#playRim(nudged(this.#I.RS, flammedTime),
+          accentOf(this.#I.RS),
+          totalAccent, audioCtx, merger)
       }
-      this.#playRim(time,
-        patternPlayed[this.#I.RS][beatNumber],
-        patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+      this.#ratchetStep(patternPlayed, this.#I.RS, steps[this.#I.RS], nudged(this.#I.RS, time), stepTime,
+        accentOf(this.#I.RS),
+        (time, accent) => this.#playRim(time, accent,
+          totalAccent, audioCtx, merger))
     }
 
-    if (this.#getMuteSolo(2) * patternPlayed[this.#I.HC][beatNumber]) {
+    if (this.#getMuteSolo(2) && plays(this.#I.HC)) {
+      lock(this.#I.HC)
       if (patternPlayed[15][this.#I.HC]) {
-        this.#playHClap(flammedTime,
-          patternPlayed[this.#I.HC][beatNumber],
-          patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+        this.#playHClap(nudged(this.#I.HC, flammedTime),
+          accentOf(this.#I.HC),
+          totalAccent, audioCtx, merger)
       }
-      this.#playHClap(time,
-        patternPlayed[this.#I.HC][beatNumber],
-        patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+      this.#ratchetStep(patternPlayed, this.#I.HC, steps[this.#I.HC], nudged(this.#I.HC, time), stepTime,
+        accentOf(this.#I.HC),
+        (time, accent) => this.#playHClap(time, accent,
+          totalAccent, audioCtx, merger))
     }
 
     // closed and open hi-hats sit on the same track
-    if (this.#getMuteSolo(1) * patternPlayed[this.#I.HHC][beatNumber]) {
+    if (this.#getMuteSolo(1) && plays(this.#I.HHC)) {
+      lock(this.#I.HHC)
       let accent = 0
       let name_ = ''
-      switch (patternPlayed[this.#I.HHC][beatNumber]) {
+      switch (patternPlayed[this.#I.HHC][steps[this.#I.HHC]]) {
         case 1:
           accent = 0.6
           name_ = 'C'
@@ -5286,57 +8207,73 @@ class Engine {
           name_ = 'O'
           this.#HH = this.#getHatSound(name_); break
       }
+      // the step velocity wins over the accent value
+      if (patternPlayed[18][this.#I.HHC][steps[this.#I.HHC]]) {
+        accent = this.#velocityToAccent(patternPlayed[18][this.#I.HHC][steps[this.#I.HHC]])
+      }
+      accent = this.#humanizeAccent(this.#I.HHC, accent, random)
 
       if (patternPlayed[15][this.#I.HHC]===1&&name_!=='O') {
-        this.#playHats(flammedTime, accent,
-          patternPlayed[this.#I.AC][beatNumber], this.#HH, undefined, audioCtx, merger
+        this.#playHats(nudged(this.#I.HHC, flammedTime), accent,
+          totalAccent, this.#HH, undefined, audioCtx, merger
         )
       } else if (patternPlayed[15][this.#I.HHC]===2&&name_!=='C') {
-        this.#playHats(flammedTime, accent-0.2,
-          patternPlayed[this.#I.AC][beatNumber], this.#HH, undefined, audioCtx, merger
+        this.#playHats(nudged(this.#I.HHC, flammedTime), accent-0.2,
+          totalAccent, this.#HH, undefined, audioCtx, merger
         )
       } else if (patternPlayed[15][this.#I.HHC]===3) {
-        this.#playHats(flammedTime, accent,
-          patternPlayed[this.#I.AC][beatNumber], this.#HH, undefined, audioCtx, merger
+        this.#playHats(nudged(this.#I.HHC, flammedTime), accent,
+          totalAccent, this.#HH, undefined, audioCtx, merger
         )
       }
 
-      this.#playHats(time, accent,
-        patternPlayed[this.#I.AC][beatNumber], this.#HH, undefined, audioCtx, merger)
+      this.#ratchetStep(patternPlayed, this.#I.HHC, steps[this.#I.HHC], nudged(this.#I.HHC, time), stepTime, accent,
+        (time, accent) => this.#playHats(time, accent,
+          totalAccent, this.#HH, undefined, audioCtx, merger))
     }
 
-    if (this.#getMuteSolo(0) * patternPlayed[this.#I.RD][beatNumber]) {
+    if (this.#getMuteSolo(0) && plays(this.#I.RD)) {
+      lock(this.#I.RD)
       if (patternPlayed[15][this.#I.RD]) {
-        this.#playRide(flammedTime,
-          patternPlayed[this.#I.RD][beatNumber],
-          patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+        this.#playRide(nudged(this.#I.RD, flammedTime),
+          accentOf(this.#I.RD),
+          totalAccent, audioCtx, merger)
       }
-      this.#playRide(time,
-        patternPlayed[this.#I.RD][beatNumber],
-        patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+      this.#ratchetStep(patternPlayed, this.#I.RD, steps[this.#I.RD], nudged(this.#I.RD, time), stepTime,
+        accentOf(this.#I.RD),
+        (time, accent) => this.#playRide(time, accent,
+          totalAccent, audioCtx, merger))
     }
 
-    if (this.#getMuteSolo(0) * patternPlayed[this.#I.CR][beatNumber]) {
+    if (this.#getMuteSolo(0) && plays(this.#I.CR)) {
+      lock(this.#I.CR)
       if (patternPlayed[15][this.#I.CR]) {
-        this.#playCrash(flammedTime,
-          patternPlayed[this.#I.CR][beatNumber],
-          patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+        this.#playCrash(nudged(this.#I.CR, flammedTime),
+          accentOf(this.#I.CR),
+          totalAccent, audioCtx, merger)
       }
-      this.#playCrash(time,
-        patternPlayed[this.#I.CR][beatNumber],
-        patternPlayed[this.#I.AC][beatNumber], audioCtx, merger)
+      this.#ratchetStep(patternPlayed, this.#I.CR, steps[this.#I.CR], nudged(this.#I.CR, time), stepTime,
+        accentOf(this.#I.CR),
+        (time, accent) => this.#playCrash(time, accent,
+          totalAccent, audioCtx, merger))
     }
-
-    
+    this.#stepLocks = {}
   }
 
   /**
    * Renders the current pattern sequence to a WAV file
    * Creates an offline audio context, processes all patterns in the queue,
-   * and generates a downloadable WAV file
+   * and generates a downloadable WAV file.
+   * The probability layer rolls with renderSeed, so renders can be reproduced,
+   * the seeds other than the factory one are named in the file
    * @returns {Promise<void>}
    */
   async renderMachine() {
+    const random = this.#seededRandom(this.renderSeed)
+    const ticks = new Array(11).fill(0)
+    // the step conditions count the loops of the patterns across the queue
+    const loops = new Array(384).fill(0)
+    const fired = new Array(11).fill(false)
     const getGrid = (scale) => {
       switch (scale) {
         case 1:
@@ -5358,24 +8295,33 @@ class Engine {
     let base = 0
     let beatsPerPattern = 0
     let scale = 0
-    for (let i = 0; i < this.#playbackQueue.length; i++) {
-      patternPlayed = this.#memory[this.#getPatternMemoryLocation(this.#playbackQueue[i])]
+    // a pass of the song, entries repeat, jump and change the tempo
+    const song = this.#songOrder()
+    for (const position of song) {
+      const entry = this.#playbackQueue[position.entry]
+      patternPlayed = this.#memory[this.#getPatternMemoryLocation(entry)]
       firstBeat = patternPlayed[16]
       base = patternPlayed[12]
       beatsPerPattern = base - firstBeat
       scale = patternPlayed[11]
       totalBeats += beatsPerPattern
-      secondsPerBeat = 60 / (this.#giveTempo() * getGrid(scale))
-      totalSeconds += beatsPerPattern * secondsPerBeat
+      // the tempo of a ramp moves on within the steps
+      for (let beatNumber = firstBeat; beatNumber < base; beatNumber++) {
+        secondsPerBeat = this.#rampedStep(entry, position.repeat, beatNumber, position.carried, patternPlayed, getGrid(scale))
+        totalSeconds += secondsPerBeat
+      }
       // this.Log('beatsPerPattern:', beatsPerPattern, firstBeat, base)
     }
     // this.Log('totalBeats:', totalBeats)
     // this.Log('totalSeconds:', totalSeconds)
 
-    // we add 4 beats to the total seconds to avoid cutting the last note
-    const offlineCtx = new OfflineAudioContext(1, (totalSeconds + 4 * secondsPerBeat) * this.#audioCtx.sampleRate, this.#audioCtx.sampleRate)
+    // we add 4 beats to the total seconds to avoid cutting the last note, the sends add their tail
+    const tailSeconds = 4 * secondsPerBeat + (this.#hasSends() ? this.#reverbTime : 0)
+    const offlineCtx = new OfflineAudioContext(2, (totalSeconds + tailSeconds) * this.#audioCtx.sampleRate, this.#audioCtx.sampleRate)
+    // the insert chains of the render have their bit reducer too
+    await this.#loadCrusher(offlineCtx)
 
-    const merger = offlineCtx.createChannelMerger(1)
+    const merger = new GainNode(offlineCtx, {channelCount: 2, channelCountMode: 'explicit'})
     const fullBandCompressor = offlineCtx.createDynamicsCompressor()
     fullBandCompressor.threshold.value = this.#fullBandCompressor.threshold.value
     fullBandCompressor.attack.value = this.#fullBandCompressor.attack.value
@@ -5397,14 +8343,19 @@ class Engine {
     .connect(boost)
     .connect(dcCut)
     .connect(offlineCtx.destination)
+    this.#createSendBuses(offlineCtx, merger, this.#giveTempo())
 
     let shuffleFactor = 0
     let flamFactor = 0
     let invert = 0
     let nextNoteTime = 0
     let flammedTime = 0
-    for (let i = 0; i < this.#playbackQueue.length; i++) {
-      patternPlayed = this.#memory[this.#getPatternMemoryLocation(this.#playbackQueue[i])]
+    for (const position of song) {
+      const entry = this.#playbackQueue[position.entry]
+      const location = this.#getPatternMemoryLocation(entry)
+      const trig = {loop: loops[location], fill: false, fired}
+      loops[location]++
+      patternPlayed = this.#memory[location]
       firstBeat = patternPlayed[16]
       base = patternPlayed[12]
       beatsPerPattern = base - firstBeat
@@ -5413,8 +8364,6 @@ class Engine {
       flamFactor = patternPlayed[14]
       invert = patternPlayed[17]
 
-      secondsPerBeat = 60 / (this.#giveTempo() * getGrid(scale))
-
       // the standard practice is to not put the flammed note into a very first beat
       // it will screw up the timing
       for (let beatNumber = !invert?firstBeat:base-1; 
@@ -5422,14 +8371,22 @@ class Engine {
         !invert?beatNumber++:beatNumber--) {
         // this.Log('beatNumber:nextNoteTime:flammedTime:', beatNumber, nextNoteTime, flammedTime)
 
-        this.#playMachine(beatNumber, nextNoteTime, flammedTime, patternPlayed, offlineCtx, merger)
+        const tempo = this.#tempoAt(entry, position.repeat, beatNumber, position.carried, patternPlayed)
+        secondsPerBeat = this.#rampedStep(entry, position.repeat, beatNumber, position.carried, patternPlayed, getGrid(scale))
+        // the delay follows the song as it does live
+        this.#syncDelay(merger, Math.round(tempo), nextNoteTime)
 
-        secondsPerBeat = beatNumber%2==-0?
+        // the shuffle is applied to the step only, it must not pile up over the steps
+        const stepTime = beatNumber%2==-0?
         secondsPerBeat + shuffleFactor*secondsPerBeat:
         secondsPerBeat - shuffleFactor*secondsPerBeat
-        nextNoteTime += secondsPerBeat
 
-        flammedTime = nextNoteTime - (flamFactor+0.21)*secondsPerBeat
+        this.#playMachine(this.#advanceTracks(patternPlayed, beatNumber, ticks, invert),
+          nextNoteTime, flammedTime, stepTime, patternPlayed, trig, offlineCtx, merger, random)
+
+        nextNoteTime += stepTime
+
+        flammedTime = nextNoteTime - (flamFactor+0.21)*stepTime
 
       }
       
@@ -5439,7 +8396,8 @@ class Engine {
     const url = URL.createObjectURL(wavBlob)
     const a = document.createElement('a')
     a.href = url
-    a.download = `${this.getCurrentPresetName()}-${this.#giveTempo()}bpm.wav`
+    const seed = this.renderSeed !== this.#factorySeed ? `-seed${this.renderSeed}` : ''
+    a.download = `${this.getCurrentPresetName()}-${this.#giveTempo()}bpm${seed}.wav`
     a.click()
   }
 
@@ -5536,7 +8494,7 @@ class Engine {
 
     // Play metronome click if guide is enabled and we're on a grid beat
     if (this.#guide && this.#beatRunnerCounter % (this.#grid) === 0) {
-      this.#playClick(time)
+      this.#playClick(time, this.#beatRunnerCounter === this.firstBeat)
     }
     
     // this.Log(
@@ -5548,10 +8506,22 @@ class Engine {
     //   'selectorCODE:', this.SELECTOR_CODE)
     
     // Get the pattern to be played from memory
-    let patternPlayed = this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)]
+    let patternLocation = this.#getPatternMemoryLocation(this.SELECTOR_CODE)
+    let patternPlayed = this.#memory[patternLocation]
 
     // Play all instruments according to the pattern
-    this.#playMachine(beatNumber, time, flammedTime, patternPlayed)
+    // TAP recording measures its nudges from the scheduled step
+    this.#scheduledStep = [time, this.#secondsPerStep(beatNumber), beatNumber]
+    const steps = this.#advanceTracks(patternPlayed, beatNumber, this.#trackTicks, this.invert)
+    this.#eraseSteps(patternPlayed, steps)
+    this.#playMachine(steps, time, flammedTime, this.#scheduledStep[1], patternPlayed,
+      {loop: this.#loops[patternLocation], fill: this.#fill, fired: this.#fired})
+
+    // The beat light follows the selected track if it runs its own length
+    const track = this.#I[this.SELECTED_INST]
+    if (track !== undefined && patternPlayed[22][track]) {
+      this.#moveBeatLight(steps[track])
+    }
     
     // Apply adaptive gain to prevent clipping when multiple instruments play simultaneously
     if (this.#cummulativeGain > 1) {
@@ -5569,20 +8539,43 @@ class Engine {
   #volumeID = new Array(20)
   
   /**
-   * Advances to the next pattern in the queue when current pattern finishes
+   * Advances to the next pattern in the queue when current pattern finishes.
+   * The first and last step of the pattern are the master length,
+   * tracks with their own length don't switch patterns.
+   * Queue entries repeat and jump as the song says, see #advanceSong.
+   * Counts the loop of the finished pattern for the step conditions
    * @param {number} beatNumber - Current beat number
    * @private
    */
   #moveToNextPattern (beatNumber) {
     // Only move to next pattern when we reach the end of the current pattern
     if (beatNumber===(!this.invert?this.BASE-1:this.firstBeat)) {
-
+      this.#loops[this.#getPatternMemoryLocation(this.SELECTOR_CODE)]++
+      this.#replaced.clear()
+
+      const played = this.#playbackQueue[this.#patternNumber]
+      // A cued entry plays next from its first pass
+      if (this.#cuedEntry !== undefined) {
+        this.#carriedTempo = this.#carryTempo(played, this.#carriedTempo)
+        this.#patternNumber = this.#cuedEntry
+        this.#repeat = 0
+        this.#cuedEntry = undefined
       // Handle case where pattern was deleted
-      if (!this.#playbackQueue[this.#patternNumber]) {
+      } else if (!played) {
         this.#patternNumber = 0
-      // Advance to next pattern in queue unless editing is in progress
+        this.#repeat = 0
+        this.#carriedTempo = undefined
+      // Advance through the song unless editing is in progress
       } else if (!this.TRACK_WRITE + this.isBankTable + this.isQueueTable) {
-        this.#patternNumber = (this.#patternNumber + 1) % this.#playbackQueue.length  
+        const next = this.#advanceSong(this.#patternNumber, this.#repeat, this.#jumped)
+        // the song starts over with the tempo wheel
+        if (next.wrapped) {
+          this.#carriedTempo = undefined
+        } else if (next.repeat === 0) {
+          this.#carriedTempo = this.#carryTempo(played, this.#carriedTempo)
+        }
+        this.#patternNumber = next.entry
+        this.#repeat = next.repeat
       }
       
       // Update pattern location and UI
@@ -5590,6 +8583,7 @@ class Engine {
       
       this.switchQTSlot(this.#patternNumber)
       this.changePattern(this.#patternLocation[3], this.#patternLocation)
+      this.#updateSongDisplay()
 
       // this.Log('playedPattern:', this.#patternLocation)
     }
@@ -5634,6 +8628,29 @@ class Engine {
     return true
   }
 
+  /**
+   * Gives the duration of a step during the playback
+   * Shuffle adds time to even beats and subtracts it from odd beats,
+   * this creates a swing feel that works in any scale or base.
+   * The tempo follows the song entry playing, see #tempoAt and #rampedStep
+   * @param {number} beatNumber - Step of the pattern
+   * @returns {number} Duration of the step in seconds
+   * @private
+   */
+  #secondsPerStep(beatNumber) {
+    const entry = this.#playbackQueue[this.#patternNumber]
+    const pattern = this.#memory[this.#getPatternMemoryLocation(this.#patternLocation)]
+    this.#songTempo = entry ?
+      this.#tempoAt(entry, this.#repeat, beatNumber, this.#carriedTempo, pattern) :
+      this.#giveTempo()
+    const secondsPerBeat = entry ?
+      this.#rampedStep(entry, this.#repeat, beatNumber, this.#carriedTempo, pattern, this.#grid) :
+      60.0 / (this.#songTempo * this.#grid)
+    return beatNumber % 2 == 0 ?
+      secondsPerBeat + this.#shuffleFactor * secondsPerBeat :
+      secondsPerBeat - this.#shuffleFactor * secondsPerBeat
+  }
+
   /**
    * Main scheduler function that recursively schedules notes ahead of time
    * Uses a look-ahead algorithm to ensure smooth playback
@@ -5658,7 +8675,7 @@ class Engine {
         !this.invert ? this.#moveBeatRunner() : this.#moveBeatRunnerBackward()
 
         /* Handle end of sequence when not in cycle mode */
-        if (this.#patternNumber === this.#playbackQueue.length-1
+        if (this.#isSongEnd()
           && !this.#CYCLE && this.#beatRunnerCounter === (!this.invert ? this.BASE-1 : this.firstBeat)) {
           // Play the last note of the last pattern before stopping
           this.#scheduleNote(this.#beatRunnerCounter, this.nextNoteTime, this.flammedTime)
@@ -5669,16 +8686,15 @@ class Engine {
         // Schedule the current note
         this.#scheduleNote(this.#beatRunnerCounter, this.nextNoteTime, this.flammedTime)
         
-        // Calculate time between beats based on tempo and grid
-        let secondsPerBeat = 60.0 / (this.#giveTempo() * this.#grid)
-        
-        /**
-         * Apply shuffle by adding time to even beats and subtracting from odd beats
-         * This creates a swing feel that works in any scale or base
-         */
-        secondsPerBeat = this.#beatRunnerCounter % 2 == 0 ?
-          secondsPerBeat + this.#shuffleFactor * secondsPerBeat :
-          secondsPerBeat - this.#shuffleFactor * secondsPerBeat
+        // Calculate time between beats based on tempo, grid and shuffle
+        const secondsPerBeat = this.#secondsPerStep(this.#beatRunnerCounter)
+
+        // The tempo display and the delay follow the song
+        if (Math.round(this.#songTempo) !== this.#shownTempo) {
+          this.#shownTempo = Math.round(this.#songTempo)
+          this.setTempo(this.#shownTempo)
+          this.#syncDelay(this.#merger, this.#shownTempo, this.nextNoteTime)
+        }
 
         // Add beat duration to schedule next note
         this.nextNoteTime += secondsPerBeat;
@@ -5702,6 +8718,9 @@ class Engine {
     }
   }
 
+  /** BPM on the tempo display during the playback */
+  #shownTempo = undefined
+
   /** Table of playback control functions */
   #playbackTable = []
   
@@ -5713,6 +8732,11 @@ class Engine {
   #createPlaybackTable = () => {
     // Initialize required state setters
     this.StateSetters['setBeatLightBlink'] = () => {}
+    this.StateSetters['setBeatLightVisible'] = () => {}
+    this.StateSetters['setPage'] = () => {}
+    this.StateSetters['setHumanize'] = () => {}
+    this.StateSetters['sbSynth-r'] = () => {}
+    this.StateSetters['sbKit-r'] = () => {}
     this.StateSetters['QTa0'] = () => {}
 
     // Define START function - begins playback from current position
@@ -5725,9 +8749,22 @@ class Engine {
 
         // Initialize beat counter based on playback direction
         this.#beatRunnerCounter = !this.invert ? this.firstBeat-1 : this.BASE
-
-        // Start scheduling from current time
+        this.#trackTicks.fill(0)
+        this.#random = this.#seededRandom(this.renderSeed)
+        this.#loops.fill(0)
+        this.#fired.fill(false)
+        this.#repeat = 0
+        this.#jumped.clear()
+        this.#cuedEntry = undefined
+        this.#carriedTempo = undefined
+        this.#shownTempo = this.#giveTempo()
+        this.#replaced.clear()
+
+        // Start scheduling from current time, after the count-in of the TAP recording
         this.nextNoteTime = this.#audioCtx.currentTime
+        if (this.#countIn && this.GLOBAL_MODE === 'TAP' && this.TRACK_WRITE) {
+          this.nextNoteTime = this.#playCountIn(this.#audioCtx.currentTime)
+        }
         this.#scheduler()
         
         // console.log('START playback executed, AudioContext state:', this.#audioCtx.state);
@@ -5740,6 +8777,11 @@ class Engine {
     this.#playbackTable['STOP'] = () => {
       try {
         clearTimeout(this.timerID)
+        this.#stopCountIn()
+
+        // the tempo display goes back to the tempo wheel
+        this.#songTempo = undefined
+        this.setTempo(this.#giveTempo())
 
         this.startBeatBlinking()
         if (this.#audioCtx.state === 'suspended') {
@@ -5804,6 +8846,7 @@ class Engine {
    *   [6] - CYCLE mode (false = off)
    *   [7] - Quantize mode (false = off)
    *   [8] - Preset name ("init")
+   *   [9] - Humanize (timing spread, velocity spread, instruments)
    */
   #generateEmptyPreset = () => {
     return [
@@ -5832,7 +8875,11 @@ class Engine {
       0, // soloBits
       false, // CYCLE
       false, // quantize
-      "init" // preset's name
+      "init", // preset's name
+      [0, 0, 0x7FF], // humanize
+      0, // synth
+      {}, // user samples
+      this.#factorySeed, // seed
     ]
   }
 
@@ -5842,7 +8889,7 @@ class Engine {
    */
   #generateEmptyPattern = () => {
     let p = Array.from(
-      {length: 11}, () => new Uint8Array(16).fill(0))
+      {length: 11}, () => new Uint8Array(this.#maxSteps).fill(0))
 
       // Additional variables also used per pattern.
       p[11] = 1 // this.#GLOBAL_SCALE
@@ -5856,6 +8903,35 @@ class Engine {
       p[15] = Uint8Array.from("00000000000") // flammed instruments
       p[16] = 0 // this.firstBeat
       p[17] = 0 // this.invert
+
+      // Step velocities (1-127), 0 follows the accent value of the step.
+      // Layout conforms with #I's layout.
+      p[18] = Array.from({length: 11}, () => new Uint8Array(this.#maxSteps).fill(0))
+
+      // Step probabilities (1-100%), 0 always plays.
+      // Layout conforms with #I's layout.
+      p[19] = Array.from({length: 11}, () => new Uint8Array(this.#maxSteps).fill(0))
+
+      // Step repeats (1-8) plus the RAMP bit (0x80), 0 plays once.
+      // Layout conforms with #I's layout.
+      p[20] = Array.from({length: 11}, () => new Uint8Array(this.#maxSteps).fill(0))
+
+      // Step offsets (-50% to +50% of a step), negative plays early.
+      // Layout conforms with #I's layout.
+      p[21] = Array.from({length: 11}, () => new Int8Array(this.#maxSteps).fill(0))
+
+      // Track lengths (polymetric tracks), 0 follows the first and last step of the pattern.
+      // Layout conforms with #I's layout.
+      p[22] = new Uint8Array(11)
+      p[23] = new Uint8Array(11) // first steps of the tracks
+
+      // Parameter locks, knob values ([value, rootDeg] as in instSettings) by step.
+      // Layout conforms with #I's layout.
+      p[24] = Array.from({length: 11}, () => ({}))
+
+      // Step conditions (index of #conditions), 0 always plays.
+      // Layout conforms with #I's layout.
+      p[25] = Array.from({length: 11}, () => new Uint8Array(this.#maxSteps).fill(0))
       return p
   }
 
@@ -5916,8 +8992,10 @@ class Engine {
   #setMemory(newState, init=false, setName=true) { 
     // this.Log("setMemory");
     
-    // Reset memory with fresh empty patterns
+    // Reset memory with fresh empty patterns,
+    // the patterns collected for the preset are the ones loaded below
     this.#memory = this.#generateMemory();
+    this.#collectPatternsForPreset.clear();
 
     // Update preset name in UI if requested
     if (setName && newState[8]) {
@@ -5953,6 +9031,22 @@ class Engine {
     // Update CYCLE and quantize states
     this.#updateCycleAndQuantize(newState);
 
+    // Presets saved before humanize existed play as they were
+    this.#humanize = newState[9] ? newState[9].slice() : [0, 0, 0x7FF];
+    this.StateSetters['setHumanize'](this.#humanize.slice());
+
+    // Presets saved before the analog model existed play the samples
+    this.#synth = newState[10] || 0;
+    this.StateSetters['sbSynth-r'](state => !state);
+
+    // The audio of the user samples is decoded as it comes from IndexedDB,
+    // the factory sounds play until then
+    this.#userSamples = {...(newState[11] || {})};
+    this.#loadUserSamples();
+
+    // Presets saved before the seed render with the factory one
+    this.renderSeed = Number.isInteger(newState[12]) ? newState[12] : this.#factorySeed;
+
     // Ensure queue table visibility matches queue state
     this.#updateQueueTableVisibility();
   }
@@ -5966,10 +9060,11 @@ class Engine {
     for (let k = 0; k < patternData.length; k++) {
       const patternIdx = patternData[k][0];
       const pattern = patternData[k][1];
+      this.#collectPatternsForPreset.set(patternIdx, this.#memory[patternIdx]);
       
       // Load instrument data (11 instruments)
       for (let inst = 0; inst < 11; inst++) {
-        this.#memory[patternIdx][inst] = Uint8Array.from(Object.values(pattern[inst]));
+        this.#memory[patternIdx][inst].set(Object.values(pattern[inst]).slice(0, this.#maxSteps));
       }
       
       // Load pattern settings
@@ -5980,6 +9075,25 @@ class Engine {
       this.#memory[patternIdx][15] = Uint8Array.from(Object.values(pattern[15])); // flammed instruments
       this.#memory[patternIdx][16] = pattern[16]; // firstBeat
       this.#memory[patternIdx][17] = pattern[17]; // invert
+
+      // Track lengths and first steps, older files keep the tracks following the pattern
+      if (pattern[22]) {
+        this.#memory[patternIdx][22] = Uint8Array.from(Object.values(pattern[22]));
+        this.#memory[patternIdx][23] = Uint8Array.from(Object.values(pattern[23]));
+      }
+
+      // Parameter locks, older files have none
+      if (pattern[24]) {
+        this.#memory[patternIdx][24] = Object.values(pattern[24]).map(locks => this.#copyLocks(locks));
+      }
+
+      // Step layers, files saved before a layer existed keep the empty layer
+      for (const layer of this.#stepLayers) {
+        if (!pattern[layer]) continue
+        for (let inst = 0; inst < 11; inst++) {
+          this.#memory[patternIdx][layer][inst].set(Object.values(pattern[layer][inst]).slice(0, this.#maxSteps));
+        }
+      }
     }
   }
 
@@ -5991,6 +9105,8 @@ class Engine {
    */
   #setupPlaybackQueue(newState, init) {
     this.#playbackQueue.length = 0;
+    this.#repeat = 0;
+    this.#jumped.clear();
     
     if (!init && newState[1]) {
       // Copy pattern queue from preset
@@ -6009,11 +9125,7 @@ class Engine {
    */
   #updateBeatRunnerLight() {
     this.firstBeat = this.#memory[this.#getPatternMemoryLocation(this.SELECTOR_CODE)][16];
-    const position = !this.invert ? 
-      (88 + this.firstBeat * 79) : 
-      (88 + (this.BASE-1) * 79);
-    
-    this.StateSetters['setBeatLightX'](position);
+    this.#moveBeatLight(!this.invert ? this.firstBeat : this.BASE-1);
   }
 
   /**
@@ -6022,11 +9134,18 @@ class Engine {
    * @private
    */
   #updateInstrumentSettings(newState) {
-    // Update rotary knobs for instrument settings
+    // Update rotary knobs for instrument settings, a held step would lock them
+    this.#releaseStep()
     if (newState[2]) {
       const knobParams = Object.keys(this.instSettings);
       
       for (const knobParamKey of knobParams) {
+        // Presets saved before the insert chains play them neutral
+        if (this.#isFxKey(knobParamKey)) {
+          this.instSettings[knobParamKey][0] = newState[2][knobParamKey] ?
+            newState[2][knobParamKey][0] : this.#fxParams[knobParamKey.slice(2)];
+          continue;
+        }
         if (!newState[2][knobParamKey]) break;
         
         // Update position, value and trigger UI update
@@ -6038,7 +9157,7 @@ class Engine {
 
     // Update LED display with queue information
     if (newState[3]) {
-      this.StateSetters['setQueueLen'](newState[3][0]);
+      this.StateSetters['setQueueLen'](this.#songOrder().length);
       this.StateSetters['setLastPat'](newState[3][1]);
       this.StateSetters['setSelectedQTSlot'](newState[3][2] + 1);
     }
@@ -6073,9 +9192,13 @@ class Engine {
     if (!this.#CYCLE && newState[6]) this.#NO_SHIFT_TABLE['CG']('CG');
     if (this.#CYCLE && !newState[6]) this.#NO_SHIFT_TABLE['CG']('CG');
     
+    // Quantize grid and strength are kept while it is off,
+    // older presets save true for the 8th note quantization and false when it is off
+    const [quantize, grid, strength] = Array.isArray(newState[7]) ? newState[7] : [newState[7], 1, 100];
+    [this.#quantizeGrid, this.#quantizeStrength] = [grid, strength]
+
     // Quantize mode (toggle if needed)
-    if (!this.#quantize && newState[7]) this.#SHIFT_TABLE['Q']('Q');
-    if (this.#quantize && !newState[7]) this.#SHIFT_TABLE['Q']('Q');
+    if (this.#quantize !== quantize) this.#toggleQuantize();
   }
 
   /**
@@ -6135,6 +9258,13 @@ class Engine {
     }
 
     if (!keyUp) {
+      // Undo and redo of the edits
+      if ((e.ctrlKey || e.metaKey) && (e.code === 'KeyZ' || e.code === 'KeyY')) {
+        e.preventDefault()
+        e.code === 'KeyY' || e.shiftKey ? this.redo() : this.undo()
+        return
+      }
+
       switch (e.code) {
         // MainKeys
         case 'Space':
@@ -6220,6 +9350,14 @@ class Engine {
           this.handleClickMk(15) 
           break
 
+        // pages of the MainKeys
+        case 'BracketLeft':
+          e.preventDefault();
+          this.changePage(this.#page - 1); break
+        case 'BracketRight':
+          e.preventDefault();
+          this.changePage(this.#page + 1); break
+
         // LedKeys
         case 'ShiftLeft':
         case 'ShiftRight':
@@ -6284,8 +9422,23 @@ class Engine {
           e.preventDefault()
           document.getElementById('sbPreset').click(); break
 
+        // the fill key is held
+        case 'KeyX':
+          e.preventDefault()
+          this.setFill(true); break
+
         default: break 
       }
+    } else {
+      switch (e.code) {
+        case 'KeyX':
+          this.setFill(false); break
+
+        // keyboard MainKeys stop the ERASE recording of all the instruments
+        default: 
+          this.#erasing.clear()
+          break
+      }
     }
   }
 
@@ -6523,11 +9676,15 @@ class Engine {
     this.#createDisplaySetters()
     this.#createPlaybackTable()
     this.#createSoundTable()
+    this.#createInsertFX()
+    this.#loadCrusher(this.#audioCtx)
     this.linearGradient = this.#generateHueBar() 
 
     this.#boost = this.#audioCtx.createWaveShaper()
     this.#setBoost()
     this.#setGAS()
+    // the tempo wheel is not there yet, the first voice sent to the delay sets its time
+    this.#createSendBuses(this.#audioCtx, this.#merger)
     
     setTimeout(() => {
       // Small delay necessary for older browsers